@@ -8,18 +8,39 @@ const path = require('path');
 const fs = require('fs');
 const Logger = require('./utils/logger');
 const FileManager = require('./utils/fileManager');
+const retentionManager = require('./utils/retentionManager');
+const jobQueue = require('./utils/jobQueue');
+const userSettings = require('./utils/userSettings');
+const archiveCache = require('./utils/archiveCache');
+const requestProfiles = require('./utils/requestProfiles');
+const proxyManager = require('./utils/proxyManager');
+const DownloadManifest = require('./utils/downloadManifest');
 const strategyEngine = require('./scrapers/strategyEngine');
 const JsdomScraper = require('./scrapers/jsdomScraper');
 const PuppeteerScraper = require('./scrapers/puppeteerScraper');
+const GenericScraper = require('./scrapers/genericScraper');
 const ImageDownloader = require('./downloaders/imageDownloader');
 const ZipCreator = require('./downloaders/zipCreator');
+const StreamingArchiver = require('./downloaders/streamingArchiver');
+const ArchiveReader = require('./downloaders/archiveReader');
+const DuplicateFinder = require('./downloaders/duplicateFinder');
+const FailureReport = require('./downloaders/failureReport');
+const GalleryManifest = require('./downloaders/galleryManifest');
+const ImageValidator = require('./downloaders/imageValidator');
 
 // Bot states
 const STATE = {
   IDLE: 'idle',
   WAITING_SINGLE_URL: 'waiting_single_url',
   WAITING_MULTI_URL: 'waiting_multi_url',
-  PROCESSING: 'processing'
+  WAITING_SELECTION_INPUT: 'waiting_selection_input',
+  WAITING_STRATEGY_INPUT: 'waiting_strategy_input'
+};
+
+// Job types
+const JOB_TYPE = {
+  SINGLE: 'single',
+  MULTI: 'multi'
 };
 
 // User sessions
@@ -29,9 +50,88 @@ const userSessions = new Map();
 const DOWNLOADS_DIR = process.env.DOWNLOADS_DIR || '/app/downloads';
 const DOWNLOAD_BASE_URL = process.env.DOWNLOAD_BASE_URL || 'https://gallery.balad.dpdns.org/downloads';
 
+// Single galleries on domains without a strategy fall back to the heuristic scraper
+const GENERIC_SCRAPER = process.env.GENERIC_SCRAPER === 'true';
+
+// Stream zip / tar.gz archives straight into DOWNLOADS_DIR instead of staging images
+const STREAM_ARCHIVES = process.env.STREAM_ARCHIVES !== 'false';
+
+// Telegram user IDs allowed to manage site strategies (comma separated)
+const ADMIN_IDS = (process.env.ADMIN_IDS || '')
+  .split(',')
+  .map(id => parseInt(id.trim()))
+  .filter(Boolean);
+
+// Questions asked by /strategy_add (key = path in the strategy, "-" skips or keeps the default)
+const STRATEGY_STEPS = [
+  { key: 'name', prompt: 'Display name of the site' },
+  { key: 'images.selector', prompt: 'CSS selector for the image links on a gallery page', selector: true },
+  { key: 'images.attr', prompt: 'Attribute holding the image URL', default: 'href' },
+  { key: 'images.filterPatterns', prompt: 'Text marking thumbnails to skip (e.g. thumb, _w400), comma separated', optional: true, list: true },
+  { key: 'galleries.selector', prompt: 'CSS selector for gallery links on a model page (📚 Multi Gallery)', optional: true, selector: true },
+  { key: 'galleries.attr', prompt: 'Attribute holding the gallery URL', default: 'href', requires: 'galleries.selector' }
+];
+
+// Sample URLs listed by /strategy_test
+const TEST_SAMPLE_SIZE = 5;
+
+// Time /strategy_test may spend on the site login and the page fetch
+const TEST_TIMEOUT_MS = 60 * 1000;
+
 // Update interval for Telegram messages (5 seconds)
 const UPDATE_INTERVAL_MS = 5000;
 
+// Galleries shown per page in the selection keyboard
+const GALLERIES_PER_PAGE = 10;
+
+// Delivery modes
+const DELIVERY = {
+  LINK: 'link',
+  ALBUM: 'album',
+  DOCUMENT: 'document'
+};
+
+// Choices for per-job options and user defaults (value -> button label)
+const OPTION_CHOICES = {
+  delivery: {
+    [DELIVERY.LINK]: '🔗 Link',
+    [DELIVERY.ALBUM]: '🖼 Album',
+    [DELIVERY.DOCUMENT]: '📄 Files'
+  },
+  format: {
+    [ZipCreator.FORMATS.SEVEN_Z]: '7z',
+    [ZipCreator.FORMATS.ZIP]: 'zip',
+    [ZipCreator.FORMATS.TAR_GZ]: 'tar.gz'
+  },
+  volumeSizeMB: {
+    0: 'No split',
+    500: '500 MB',
+    1024: '1 GB',
+    2048: '2 GB'
+  },
+  dedupe: {
+    [DuplicateFinder.MODES.OFF]: 'Keep duplicates',
+    [DuplicateFinder.MODES.REPORT]: '📝 List',
+    [DuplicateFinder.MODES.DROP]: '♻️ Remove'
+  }
+};
+
+// Options a user can change per job from the status message
+const JOB_OPTION_KEYS = ['delivery', 'format'];
+
+// Options only multi-gallery jobs have, changed from the selection message
+const MULTI_JOB_OPTION_KEYS = ['dedupe'];
+
+// Telegram Bot API upload limits
+const TELEGRAM_PHOTO_LIMIT = 10 * 1024 * 1024;
+// Photos also need width + height <= 10000 and an aspect ratio of at most 20
+const TELEGRAM_PHOTO_MAX_SIDES = 10000;
+const TELEGRAM_PHOTO_MAX_RATIO = 20;
+const TELEGRAM_DOCUMENT_LIMIT = 50 * 1024 * 1024;
+const MEDIA_GROUP_SIZE = 10;
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+const PHOTO_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
 class TelegramBot {
   constructor(token) {
     this.bot = new Telegraf(token, {
@@ -72,9 +172,16 @@ class TelegramBot {
       const fileName = path.basename(filePath);
       const destPath = path.join(DOWNLOADS_DIR, fileName);
       
-      // Use copyFile + unlink instead of rename for cross-device compatibility
-      await fs.promises.copyFile(filePath, destPath);
-      await fs.promises.unlink(filePath);
+      // Streamed archives are written in place
+      if (path.resolve(filePath) !== path.resolve(destPath)) {
+        // Use copyFile + unlink instead of rename for cross-device compatibility; the copy goes to a
+        // hidden name first so nginx and the retention sweep never see a half-copied archive
+        const partialPath = path.join(DOWNLOADS_DIR, `.${fileName}.partial`);
+        await fs.promises.copyFile(filePath, partialPath);
+        await fs.promises.rename(partialPath, destPath);
+        await fs.promises.unlink(filePath);
+      }
+      await retentionManager.register(fileName);
       
       // Generate download URL
       const downloadUrl = `${DOWNLOAD_BASE_URL}/${fileName}`;
@@ -133,45 +240,472 @@ class TelegramBot {
     return userSessions.get(userId);
   }
 
+  /**
+   * Check whether a user may manage site strategies
+   * @param {number} userId - Telegram user ID
+   * @returns {boolean}
+   */
+  isAdmin(userId) {
+    return ADMIN_IDS.includes(userId);
+  }
+
+  /**
+   * Wrap a command handler so only admins can run it
+   * @param {Function} handler - Command handler
+   * @returns {Function} Guarded handler
+   */
+  adminOnly(handler) {
+    return async (ctx) => {
+      if (!this.isAdmin(ctx.from.id)) {
+        Logger.warn(`Admin command refused for user: ${ctx.from.id}`);
+        ctx.reply('⛔ This command is only available to admins.');
+        return;
+      }
+
+      try {
+        await handler(ctx);
+      } catch (error) {
+        Logger.error('Admin command failed', { error: error.message, user: ctx.from.id });
+        ctx.reply(`❌ ${error.message}`);
+      }
+    };
+  }
+
   /**
    * Main menu keyboard
    */
   getMainMenu() {
     return Markup.keyboard([
       ['📸 Single Gallery', '📚 Multi Gallery'],
-      ['ℹ️ Help', '🔄 Restart']
+      ['⚙️ Settings', 'ℹ️ Help', '🔄 Restart']
     ]).resize();
   }
 
   /**
-   * Send download link to user with retry logic
+   * Settings message with inline keyboard
+   * @param {number} userId - Telegram user ID
+   * @returns {Object} { text, extra }
+   */
+  getSettingsView(userId) {
+    const settings = userSettings.get(userId);
+
+    const text =
+      '⚙️ *Settings*\n\n' +
+      '*Default delivery:*\n' +
+      '🔗 Link — one archive on our server\n' +
+      '🖼 Album — photos sent into this chat\n' +
+      '📄 Files — full-resolution files sent into this chat\n\n' +
+      '*Archive format:* zip and tar.gz open natively on iOS\n\n' +
+      '*Split volumes:* large archives are split into parts of this size\n\n' +
+      '*Duplicates:* photos repeated across galleries of a model page are listed or removed ' +
+      '(the largest copy is kept)\n\n' +
+      'You can also change delivery and format for a single job from its status message.';
+
+    const keyboard = Markup.inlineKeyboard([
+      this.getOptionButtons('delivery', settings.delivery, 'set:delivery'),
+      this.getOptionButtons('format', settings.format, 'set:format'),
+      this.getOptionButtons('volumeSizeMB', settings.volumeSizeMB, 'set:volumeSizeMB'),
+      this.getOptionButtons('dedupe', settings.dedupe, 'set:dedupe')
+    ]);
+
+    return { text, extra: { parse_mode: 'Markdown', ...keyboard } };
+  }
+
+  /**
+   * Row of choice buttons with the current value marked
+   * @param {string} key - Option key in OPTION_CHOICES
+   * @param {*} current - Current value
+   * @param {string} prefix - Callback data prefix
+   * @returns {Array} Buttons
+   */
+  getOptionButtons(key, current, prefix) {
+    return Object.entries(OPTION_CHOICES[key]).map(([value, label]) => Markup.button.callback(
+      `${String(current) === value ? '● ' : ''}${label}`,
+      `${prefix}:${value}`
+    ));
+  }
+
+  /**
+   * Validate an option value received from callback data
+   * @param {string} key - Option key
+   * @param {string} value - Raw value
+   * @returns {*} Normalized value, or undefined if not allowed
+   */
+  parseOption(key, value) {
+    if (!OPTION_CHOICES[key] || !(value in OPTION_CHOICES[key])) return undefined;
+    return key === 'volumeSizeMB' ? Number(value) : value;
+  }
+
+  /**
+   * Inline keyboard attached to a job's status message
+   * @param {Object} job - Job record
+   * @returns {Object} Telegraf markup
+   */
+  getJobKeyboard(job) {
+    const cancelRow = [Markup.button.callback('❌ Cancel', `cancel:${job.id}`)];
+
+    // Options are fixed once delivery has started
+    if (job.delivering) {
+      return Markup.inlineKeyboard([cancelRow]);
+    }
+
+    const options = job.options || {};
+    return Markup.inlineKeyboard([
+      ...JOB_OPTION_KEYS.map(key => this.getOptionButtons(key, options[key], `opt:${job.id}:${key}`)),
+      cancelRow
+    ]);
+  }
+
+  /**
+   * Build the failure report buttons of a finished job
+   * @param {Object} job - Job record (with failures)
+   * @param {boolean} withRetry - Whether to offer "Retry failed"
+   * @returns {Object} Inline keyboard, or {} when nothing failed
+   */
+  getFailureKeyboard(job, withRetry = true) {
+    if (!job.failures?.length) return {};
+
+    const row = [Markup.button.callback('🧾 Show failures', `failures:${job.id}:show`)];
+    if (withRetry) {
+      row.push(Markup.button.callback('🔁 Retry failed', `failures:${job.id}:retry`));
+    }
+    return Markup.inlineKeyboard([row]);
+  }
+
+  /**
+   * Reply with the images a job could not download
+   * Reports longer than one message are sent as failures.txt
    * @param {Context} ctx - Telegram context
-   * @param {string} archivePath - Path to archive file
+   * @param {Object} job - Job record (with failures)
+   */
+  async sendFailureReport(ctx, job) {
+    const report = FailureReport.format(job.failures, job.imageCount);
+
+    if (report.length <= TELEGRAM_MESSAGE_LIMIT) {
+      await ctx.reply(report, { disable_web_page_preview: true });
+    } else {
+      await ctx.replyWithDocument({ source: Buffer.from(report), filename: FailureReport.FILE_NAME });
+    }
+  }
+
+  /**
+   * Edit a job's status message with retry logic
+   * @param {Object} job - Job record
+   * @param {string} text - New message text
+   * @param {Object} extra - Extra sendMessage options (defaults to the job keyboard)
+   */
+  async updateStatus(job, text, extra = this.getJobKeyboard(job)) {
+    await this.retryWithBackoff(async () => {
+      await this.bot.telegram.editMessageText(job.chatId, job.statusMessageId, null, text, extra);
+    });
+  }
+
+  /**
+   * Send download link to user with retry logic
+   * @param {number} chatId - Telegram chat ID
+   * @param {Array} archivePaths - Archive file(s); several paths are volumes of one archive
    * @param {string} caption - Caption text
+   * @param {Object} extra - Extra message options (e.g. an inline keyboard)
    */
-  async sendDownloadLink(ctx, archivePath, caption) {
+  async sendDownloadLink(chatId, archivePaths, caption, extra = {}) {
     // Get file info first (before moving)
-    const stats = fs.statSync(archivePath);
-    const fileSize = FileManager.formatBytes(stats.size);
-    const fileName = path.basename(archivePath);
+    const files = [];
+    for (const archivePath of archivePaths) {
+      const stats = fs.statSync(archivePath);
+      files.push({ archivePath, size: stats.size, fileName: path.basename(archivePath) });
+    }
     
     // Move to downloads directory
-    const downloadUrl = await this.moveToDownloads(archivePath);
-    
+    for (const file of files) {
+      file.downloadUrl = await this.moveToDownloads(file.archivePath);
+    }
+
     // Send message with retry logic
     await this.retryWithBackoff(async () => {
-      await ctx.reply(
+      await this.bot.telegram.sendMessage(
+        chatId,
         `${caption}\n\n` +
-        `📦 *File Ready!*\n\n` +
-        `📄 Filename: \`${fileName}\`\n` +
-        `💾 Size: ${fileSize}\n\n` +
-        `🔗 [Click here to download](${downloadUrl})\n\n` +
-        `⏱️ Link expires in 24 hours`,
-        { parse_mode: 'Markdown', disable_web_page_preview: true }
+        `${this.formatDownloadBody(files)}\n\n` +
+        `⏱️ Link expires in ${retentionManager.retentionHours} hours`,
+        { parse_mode: 'Markdown', disable_web_page_preview: true, ...extra }
       );
     });
     
-    Logger.info(`Download link sent: ${fileName}`);
+    Logger.info(`Download link sent: ${files.map(file => file.fileName).join(', ')}`);
+  }
+
+  /**
+   * Send the link of a cached archive, with a button to download the gallery again
+   * @param {Object} job - Job record
+   * @param {Object} entry - Cache entry ({ files, caption })
+   * @returns {Promise<boolean>} False if retention removed the archive in the meantime (nothing sent)
+   */
+  async sendCachedLink(job, entry) {
+    const files = [];
+    for (const fileName of entry.files) {
+      try {
+        const { size } = await fs.promises.stat(path.join(DOWNLOADS_DIR, fileName));
+        files.push({ fileName, size, downloadUrl: `${DOWNLOAD_BASE_URL}/${fileName}` });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        Logger.info(`Cached archive removed before it was sent, downloading again: ${fileName}`);
+        await archiveCache.invalidate(fileName);
+        return false;
+      }
+    }
+
+    // The cached archive keeps its original expiry
+    const expiry = Math.min(...entry.files.map(fileName => retentionManager.getExpiry(fileName) || Infinity));
+    const hoursLeft = Number.isFinite(expiry)
+      ? Math.max(1, Math.ceil((expiry - Date.now()) / (60 * 60 * 1000)))
+      : retentionManager.retentionHours;
+
+    await this.retryWithBackoff(async () => {
+      await this.bot.telegram.sendMessage(
+        job.chatId,
+        `${entry.caption}\n\n` +
+        `♻️ _This gallery was downloaded recently — reusing the existing archive._\n\n` +
+        `${this.formatDownloadBody(files)}\n\n` +
+        `⏱️ Link expires in ${hoursLeft} hours`,
+        {
+          parse_mode: 'Markdown',
+          disable_web_page_preview: true,
+          ...Markup.inlineKeyboard([Markup.button.callback('🔄 Force refresh', `refresh:${job.id}`)])
+        }
+      );
+    });
+
+    Logger.info(`Cached download link sent: ${entry.files.join(', ')}`);
+    return true;
+  }
+
+  /**
+   * Escape text for Markdown messages
+   * @param {string} text - Plain text (e.g. a gallery title)
+   * @returns {string}
+   */
+  escapeMarkdown(text) {
+    return String(text).replace(/[_*`[]/g, '\\$&');
+  }
+
+  /**
+   * Format the download part of a link message
+   * @param {Array} files - Published files ({ fileName, size, downloadUrl })
+   * @returns {string} Markdown text
+   */
+  formatDownloadBody(files) {
+    let body;
+    if (files.length === 1) {
+      const [file] = files;
+      body =
+        `📦 *File Ready!*\n\n` +
+        `📄 Filename: \`${file.fileName}\`\n` +
+        `💾 Size: ${FileManager.formatBytes(file.size)}\n\n` +
+        `🔗 [Click here to download](${file.downloadUrl})`;
+    } else {
+      const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+      body =
+        `📦 *Files Ready!* (${files.length} parts)\n\n` +
+        `💾 Total size: ${FileManager.formatBytes(totalSize)}\n\n` +
+        files.map((file, index) =>
+          `🔗 [Part ${index + 1}](${file.downloadUrl}) — ${FileManager.formatBytes(file.size)}`
+        ).join('\n') +
+        '\n\nDownload all parts, then open the `.001` file with 7-Zip (or join them with `cat`).';
+    }
+
+    return body;
+  }
+
+  /**
+   * Check whether Telegram accepts an image as a photo (size, dimensions and aspect ratio)
+   * @param {string} file - Image path
+   * @param {number} size - File size in bytes
+   * @returns {Promise<boolean>} False for images that have to go as documents
+   */
+  async fitsPhotoLimits(file, size) {
+    if (size > TELEGRAM_PHOTO_LIMIT) return false;
+
+    const handle = await fs.promises.open(file, 'r');
+    let head;
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(ImageValidator.HEAD_BYTES), 0, ImageValidator.HEAD_BYTES, 0);
+      head = buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+
+    // Unreadable headers are left to Telegram (see sendMediaChunk)
+    const dimensions = ImageValidator.readDimensions(head);
+    if (!dimensions?.width || !dimensions?.height) return true;
+    const { width, height } = dimensions;
+    return width + height <= TELEGRAM_PHOTO_MAX_SIDES &&
+      Math.max(width, height) / Math.min(width, height) <= TELEGRAM_PHOTO_MAX_RATIO;
+  }
+
+  /**
+   * Send one album / file group with retry logic
+   * A photo album Telegram rejects (400 Bad Request, so nothing of it was posted) is resent one photo at a
+   * time, and only the photos rejected again go as documents; other errors may come after a delivery,
+   * so they are not resent
+   * @param {number} chatId - Telegram chat ID
+   * @param {Array} items - Up to 10 { type, file } items of the same type
+   * @param {string} caption - Caption for the first item
+   */
+  async sendMediaChunk(chatId, items, caption) {
+    const isRejected = error => error.response?.error_code === 400;
+    const send = async (method, item, itemCaption) => {
+      await this.retryWithBackoff(async () => {
+        await this.bot.telegram[method](chatId, { source: item.file }, { caption: itemCaption });
+      });
+    };
+    const sendPhotoOrDocument = async (item, itemCaption) => {
+      try {
+        await send('sendPhoto', item, itemCaption);
+      } catch (error) {
+        if (!isRejected(error)) throw error;
+        Logger.warn(`Photo rejected, sending as a document: ${path.basename(item.file)}`, { error: error.message });
+        await send('sendDocument', item, itemCaption);
+      }
+    };
+
+    if (items.length === 1) {
+      if (items[0].type === 'photo') {
+        await sendPhotoOrDocument(items[0], caption);
+      } else {
+        await send('sendDocument', items[0], caption);
+      }
+      return;
+    }
+
+    const media = items.map((item, index) => ({
+      type: item.type,
+      media: { source: item.file },
+      ...(index === 0 && caption ? { caption } : {})
+    }));
+    try {
+      await this.retryWithBackoff(async () => {
+        await this.bot.telegram.sendMediaGroup(chatId, media);
+      });
+    } catch (error) {
+      if (items[0].type !== 'photo' || !isRejected(error)) throw error;
+      Logger.warn('Photo album rejected, resending one by one', { error: error.message });
+      for (const [index, item] of items.entries()) {
+        await sendPhotoOrDocument(item, index === 0 ? caption : undefined);
+      }
+    }
+  }
+
+  /**
+   * Upload downloaded galleries into the chat as albums or documents
+   * Files above the Bot API limits are archived and sent as a download link instead
+   * @param {Object} job - Job record
+   * @param {Array} galleries - Array of { name, files } objects
+   * @param {string} caption - Summary caption
+   * @param {AbortSignal} signal - Job abort signal
+   * @param {Object} extra - Extra options for the summary message (e.g. an inline keyboard)
+   */
+  async deliverToChat(job, galleries, caption, signal, extra = {}) {
+    const mode = job.options.delivery;
+    const totalFiles = galleries.reduce((sum, g) => sum + g.files.length, 0);
+    const oversized = [];
+    let sent = 0;
+    let lastUpdateTime = 0;
+
+    await jobQueue.update(job, { delivering: true });
+    await this.updateStatus(job, `📤 Uploading ${totalFiles} files to this chat...`);
+
+    for (const gallery of galleries) {
+      // Split into uploadable items, keeping download order
+      const items = [];
+      for (const file of [...gallery.files].sort()) {
+        const { size } = await fs.promises.stat(file);
+        const isPhoto = PHOTO_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+        if (mode === DELIVERY.ALBUM && isPhoto && await this.fitsPhotoLimits(file, size)) {
+          items.push({ type: 'photo', file });
+        } else if (size <= TELEGRAM_DOCUMENT_LIMIT) {
+          items.push({ type: 'document', file });
+        } else {
+          oversized.push({ gallery: gallery.name, file });
+        }
+      }
+
+      // Albums cannot mix photos and documents
+      let chunk = [];
+      let firstChunk = true;
+      const flush = async () => {
+        if (chunk.length === 0) return;
+        signal.throwIfAborted();
+        await this.sendMediaChunk(job.chatId, chunk, firstChunk ? `📋 ${gallery.name}` : undefined);
+        sent += chunk.length;
+        firstChunk = false;
+        chunk = [];
+
+        const now = Date.now();
+        if (now - lastUpdateTime >= UPDATE_INTERVAL_MS) {
+          lastUpdateTime = now;
+          this.updateStatus(job, `📤 Uploading: ${sent}/${totalFiles} files`).catch(() => {});
+        }
+      };
+
+      for (const item of items) {
+        if (chunk.length > 0 && (chunk.length === MEDIA_GROUP_SIZE || chunk[0].type !== item.type)) {
+          await flush();
+        }
+        chunk.push(item);
+      }
+      await flush();
+    }
+
+    await this.retryWithBackoff(async () => {
+      await this.bot.telegram.sendMessage(
+        job.chatId,
+        `${caption}\n\n📤 Sent ${sent} files to this chat`,
+        { parse_mode: 'Markdown', ...extra }
+      );
+    });
+
+    if (oversized.length > 0) {
+      await this.sendOversizedLink(job, oversized, signal);
+    }
+  }
+
+  /**
+   * Archive files that are too large for Telegram and send them as a link
+   * @param {Object} job - Job record
+   * @param {Array} oversized - Array of { gallery, file } objects
+   * @param {AbortSignal} signal - Job abort signal
+   */
+  async sendOversizedLink(job, oversized, signal) {
+    const overDir = await FileManager.createTempDir('oversized');
+    let archivePaths;
+
+    try {
+      for (const { gallery, file } of oversized) {
+        const galleryDir = path.join(overDir, gallery);
+        await fs.promises.mkdir(galleryDir, { recursive: true });
+        await fs.promises.copyFile(file, path.join(galleryDir, path.basename(file)));
+      }
+
+      const baseName = new Set(oversized.map(o => o.gallery)).size === 1 ? oversized[0].gallery : 'galleries';
+      archivePaths = await ZipCreator.createSingleGalleryZip(overDir, `${baseName}_large_files`, {
+        format: job.options.format,
+        signal
+      });
+
+      await this.sendDownloadLink(
+        job.chatId,
+        archivePaths,
+        `⚠️ ${oversized.length} files exceed Telegram's upload limit`
+      );
+    } catch (error) {
+      for (const archivePath of archivePaths || []) {
+        await FileManager.deleteFile(archivePath);
+      }
+      throw error;
+    } finally {
+      await FileManager.deleteDir(overDir);
+    }
   }
 
   /**
@@ -206,14 +740,18 @@ class TelegramBot {
         '*Multi Gallery Mode:*\n' +
         '1. Click "📚 Multi Gallery"\n' +
         '2. Send the model page URL\n' +
-        '3. Confirm number of galleries\n' +
+        '3. Choose which galleries to download\n' +
         '4. Wait for download\n' +
         '5. Receive direct download link\n\n' +
+        'Use ⚙️ Settings to receive files as a link, an album or documents.\n' +
+        'Use /cancel to stop a running download.\n\n' +
         '*Download Links:*\n' +
-        'Files are hosted on our server for 24 hours.\n' +
+        `Files are hosted on our server for ${retentionManager.retentionHours} hours.\n` +
         'No file size limits!\n\n' +
         '*Supported Sites:*\n' +
-        strategyEngine.getSupportedDomains().map(d => `• ${d}`).join('\n'),
+        strategyEngine.getSupportedDomains().map(d => `• ${d}`).join('\n') +
+        (GENERIC_SCRAPER ? '\n• Other sites: best-effort, Single Gallery only' : '') +
+        (this.isAdmin(ctx.from.id) ? '\n\n*Admin:* /strategies to manage site strategies' : ''),
         { parse_mode: 'Markdown' }
       );
     });
@@ -244,6 +782,187 @@ class TelegramBot {
       );
     });
 
+    // Cancel command
+    this.bot.command('cancel', async (ctx) => {
+      const session = this.getUserSession(ctx.from.id);
+      if (session.state === STATE.WAITING_STRATEGY_INPUT) {
+        session.state = STATE.IDLE;
+        delete session.strategyDraft;
+        ctx.reply('🚫 Strategy setup cancelled.', this.getMainMenu());
+        return;
+      }
+      session.state = STATE.IDLE;
+
+      const job = jobQueue.getActiveJob(ctx.from.id);
+      if (!job) {
+        ctx.reply('ℹ️ You have no download in progress.', this.getMainMenu());
+        return;
+      }
+
+      await this.cancelJob(job);
+      ctx.reply('🚫 Cancelling your download...', this.getMainMenu());
+    });
+
+    // Inline cancel button on status messages
+    this.bot.action(/^cancel:(.+)$/, async (ctx) => {
+      const job = jobQueue.getJob(ctx.match[1]);
+
+      if (!job || job.userId !== ctx.from.id || !jobQueue.isActive(job)) {
+        await ctx.answerCbQuery('This download is no longer active').catch(() => {});
+        return;
+      }
+
+      this.getUserSession(ctx.from.id).state = STATE.IDLE;
+      await this.cancelJob(job);
+      await ctx.answerCbQuery('Cancelling...').catch(() => {});
+    });
+
+    // Gallery selection keyboard
+    this.bot.action(/^sel:([^:]+):(\w+)(?::(-?\d+))?$/, async (ctx) => {
+      const job = jobQueue.getJob(ctx.match[1]);
+
+      if (!job || job.userId !== ctx.from.id || job.status !== jobQueue.JOB_STATUS.AWAITING_INPUT || job.selectionConfirmed) {
+        await ctx.answerCbQuery('This selection is no longer active').catch(() => {});
+        return;
+      }
+
+      await this.handleSelectionAction(ctx, job, ctx.match[2], ctx.match[3]);
+    });
+
+    // Settings command and button
+    const showSettings = (ctx) => {
+      const { text, extra } = this.getSettingsView(ctx.from.id);
+      ctx.reply(text, extra);
+    };
+    this.bot.command('settings', showSettings);
+    this.bot.hears('⚙️ Settings', showSettings);
+
+    this.bot.action(/^set:(\w+):([\w.]+)$/, async (ctx) => {
+      const key = ctx.match[1];
+      const value = this.parseOption(key, ctx.match[2]);
+      if (value === undefined) {
+        await ctx.answerCbQuery().catch(() => {});
+        return;
+      }
+
+      await userSettings.update(ctx.from.id, { [key]: value });
+      const { text, extra } = this.getSettingsView(ctx.from.id);
+      await ctx.editMessageText(text, extra).catch(() => {});
+      await ctx.answerCbQuery(`Saved: ${OPTION_CHOICES[key][value]}`).catch(() => {});
+    });
+
+    // Per-job options on status messages
+    this.bot.action(/^opt:([^:]+):(\w+):([\w.]+)$/, async (ctx) => {
+      const job = jobQueue.getJob(ctx.match[1]);
+      const key = ctx.match[2];
+      const allowed = job?.type === JOB_TYPE.MULTI ? [...JOB_OPTION_KEYS, ...MULTI_JOB_OPTION_KEYS] : JOB_OPTION_KEYS;
+      const value = allowed.includes(key) ? this.parseOption(key, ctx.match[3]) : undefined;
+
+      if (!job || job.userId !== ctx.from.id || !jobQueue.isActive(job) || value === undefined) {
+        await ctx.answerCbQuery('This download is no longer active').catch(() => {});
+        return;
+      }
+      if (job.delivering) {
+        await ctx.answerCbQuery('Delivery has already started').catch(() => {});
+        return;
+      }
+
+      await jobQueue.update(job, { options: { ...job.options, [key]: value } });
+      await ctx.answerCbQuery(`This job: ${OPTION_CHOICES[key][value]}`).catch(() => {});
+
+      // Selection messages carry their own keyboard
+      if (job.status === jobQueue.JOB_STATUS.AWAITING_INPUT) {
+        await this.showSelection(job).catch(() => {});
+      } else {
+        await ctx.editMessageReplyMarkup(this.getJobKeyboard(job).reply_markup).catch(() => {});
+      }
+    });
+
+    // Force refresh button on cached download links
+    this.bot.action(/^refresh:(.+)$/, async (ctx) => {
+      const source = jobQueue.getJob(ctx.match[1]);
+
+      if (!source || source.userId !== ctx.from.id) {
+        await ctx.answerCbQuery('This download has expired').catch(() => {});
+        return;
+      }
+      if (source.refreshedBy) {
+        await ctx.answerCbQuery('Already downloading again').catch(() => {});
+        return;
+      }
+      if (jobQueue.getActiveJob(ctx.from.id)) {
+        await ctx.answerCbQuery('You already have a download in progress').catch(() => {});
+        return;
+      }
+
+      // Taken before the first await, so a double tap queues one refresh
+      source.refreshedBy = 'pending';
+
+      await ctx.answerCbQuery('Downloading again...').catch(() => {});
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] }).catch(() => {});
+      try {
+        const refresh = await this.enqueueJob(ctx, source.type, source.url, { ...source.options, forceRefresh: true });
+        await jobQueue.update(source, { refreshedBy: refresh.id });
+      } catch (error) {
+        delete source.refreshedBy;
+        throw error;
+      }
+    });
+
+    // Failure report buttons on finished downloads
+    this.bot.action(/^failures:([^:]+):(show|retry)$/, async (ctx) => {
+      const source = jobQueue.getJob(ctx.match[1]);
+
+      if (!source || source.userId !== ctx.from.id || !source.failures?.length) {
+        await ctx.answerCbQuery('This download has expired').catch(() => {});
+        return;
+      }
+
+      if (ctx.match[2] === 'show') {
+        await ctx.answerCbQuery().catch(() => {});
+        await this.sendFailureReport(ctx, source);
+        return;
+      }
+
+      if (source.retriedBy) {
+        await ctx.answerCbQuery('Already retried').catch(() => {});
+        return;
+      }
+      if (jobQueue.getActiveJob(ctx.from.id)) {
+        await ctx.answerCbQuery('You already have a download in progress').catch(() => {});
+        return;
+      }
+
+      // Taken before the first await, so a double tap queues one retry
+      source.retriedBy = 'pending';
+
+      await ctx.answerCbQuery('Retrying failed images...').catch(() => {});
+      await ctx.editMessageReplyMarkup(this.getFailureKeyboard(source, false).reply_markup).catch(() => {});
+
+      // Same galleries again; the kept work dir lets the staged download skip every image it already has.
+      // A streamed job has no local copy, so its retry unpacks the published archive into the work dir first
+      const fields = source.type === JOB_TYPE.MULTI
+        ? { galleryLinks: source.galleryLinks, selection: source.selection, selectionConfirmed: true }
+        : {};
+      if (source.streamedFiles) {
+        fields.reuseArchive = source.streamedFiles;
+      }
+
+      try {
+        const retry = await this.enqueueJob(ctx, source.type, source.url, { ...source.options, forceRefresh: true, retryOf: source.id }, fields);
+        await jobQueue.update(source, { retriedBy: retry.id });
+      } catch (error) {
+        delete source.retriedBy;
+        throw error;
+      }
+    });
+
+    // Admin: site strategies
+    this.bot.command('strategies', this.adminOnly(ctx => this.listStrategies(ctx)));
+    this.bot.command('strategy_add', this.adminOnly(ctx => this.startStrategyWizard(ctx, ctx.payload)));
+    this.bot.command('strategy_test', this.adminOnly(ctx => this.testStrategy(ctx, ctx.payload)));
+    this.bot.command('strategy_remove', this.adminOnly(ctx => this.removeStrategy(ctx, ctx.payload)));
+
     // Restart button
     this.bot.hears('🔄 Restart', (ctx) => {
       const session = this.getUserSession(ctx.from.id);
@@ -263,9 +982,11 @@ class TelegramBot {
         '*Multi Gallery Mode:*\n' +
         '1. Click "📚 Multi Gallery"\n' +
         '2. Send the model page URL\n' +
-        '3. Confirm number of galleries\n' +
+        '3. Choose which galleries to download\n' +
         '4. Wait for download\n' +
-        '5. Receive direct download link',
+        '5. Receive direct download link\n\n' +
+        'Use ⚙️ Settings to receive files as a link, an album or documents.\n' +
+        'Use /cancel to stop a running download.',
         { parse_mode: 'Markdown' }
       );
     });
@@ -275,6 +996,18 @@ class TelegramBot {
       const session = this.getUserSession(ctx.from.id);
       const url = ctx.message.text;
 
+      // "First N / Range" answer for a gallery selection
+      if (session.state === STATE.WAITING_SELECTION_INPUT) {
+        await this.handleSelectionInput(ctx, session);
+        return;
+      }
+
+      // Answer to a /strategy_add question
+      if (session.state === STATE.WAITING_STRATEGY_INPUT) {
+        await this.handleStrategyInput(ctx, session);
+        return;
+      }
+
       // Ignore if not waiting for URL
       if (session.state !== STATE.WAITING_SINGLE_URL && session.state !== STATE.WAITING_MULTI_URL) {
         return;
@@ -286,11 +1019,13 @@ class TelegramBot {
         return;
       }
 
-      // Check if site is supported
-      if (!strategyEngine.isSupported(url)) {
+      // Check if site is supported (single galleries can fall back to the generic scraper)
+      const generic = !strategyEngine.isSupported(url);
+      if (generic && !(GENERIC_SCRAPER && session.state === STATE.WAITING_SINGLE_URL)) {
         const domain = strategyEngine.extractDomain(url);
         ctx.reply(
           `❌ Sorry, ${domain} is not supported yet.\n\n` +
+          (GENERIC_SCRAPER ? 'Unsupported sites only work in 📸 Single Gallery mode (best-effort).\n\n' : '') +
           '*Supported sites:*\n' +
           strategyEngine.getSupportedDomains().map(d => `• ${d}`).join('\n'),
           { parse_mode: 'Markdown' }
@@ -298,193 +1033,927 @@ class TelegramBot {
         return;
       }
 
-      // Process based on mode
-      if (session.state === STATE.WAITING_SINGLE_URL) {
-        await this.processSingleGallery(ctx, url);
-      } else if (session.state === STATE.WAITING_MULTI_URL) {
-        await this.processMultiGallery(ctx, url);
+      // Multi Gallery mode needs the strategy's "galleries" block to find galleries on the page
+      if (session.state === STATE.WAITING_MULTI_URL && !strategyEngine.getStrategy(url).galleries) {
+        ctx.reply(
+          `❌ ${strategyEngine.extractDomain(url)} has no gallery list set up, so Multi Gallery mode does not work there.\n\n` +
+          'Send a single gallery URL in 📸 Single Gallery mode instead.'
+        );
+        return;
       }
-    });
 
-    // Error handler
-    this.bot.catch((err, ctx) => {
-      Logger.error('Bot error', { error: err.message, user: ctx.from?.id });
-      ctx.reply('❌ An error occurred. Please try again or use /start to restart.');
-      const session = this.getUserSession(ctx.from.id);
-      session.state = STATE.IDLE;
+      // One active job per user
+      const activeJob = jobQueue.getActiveJob(ctx.from.id);
+      if (activeJob && activeJob.status === jobQueue.JOB_STATUS.AWAITING_INPUT) {
+        ctx.reply('⏳ Your previous job is waiting for a gallery selection. Confirm it or use /cancel first.');
+        return;
+      }
+      if (activeJob) {
+        const position = jobQueue.getPosition(activeJob);
+        ctx.reply(
+          '⏳ You already have a download in progress' +
+          (position > 0 ? ` (#${position} in line)` : '') +
+          '.\nPlease wait for it to finish.'
+        );
+        return;
+      }
+
+      // Queue based on mode
+      const type = session.state === STATE.WAITING_SINGLE_URL ? JOB_TYPE.SINGLE : JOB_TYPE.MULTI;
+      session.state = STATE.IDLE;
+      await this.enqueueJob(ctx, type, url);
+    });
+
+    // Error handler
+    this.bot.catch((err, ctx) => {
+      Logger.error('Bot error', { error: err.message, user: ctx.from?.id });
+      ctx.reply('❌ An error occurred. Please try again or use /start to restart.');
+      const session = this.getUserSession(ctx.from.id);
+      session.state = STATE.IDLE;
     });
   }
 
   /**
-   * Process single gallery download
+   * Apply a typed "first N" / range answer to a paused job
+   * @param {Context} ctx - Telegram context
+   * @param {Object} session - User session
+   */
+  async handleSelectionInput(ctx, session) {
+    const job = jobQueue.getJob(session.selectionJobId);
+
+    if (!job || job.status !== jobQueue.JOB_STATUS.AWAITING_INPUT || job.selectionConfirmed) {
+      session.state = STATE.IDLE;
+      ctx.reply('ℹ️ This selection is no longer active.', this.getMainMenu());
+      return;
+    }
+
+    const selection = this.parseSelectionInput(ctx.message.text, job.galleryLinks.length);
+    if (!selection) {
+      ctx.reply(`❌ Invalid selection. Send a number (e.g. 10) or a range between 1 and ${job.galleryLinks.length}.`);
+      return;
+    }
+
+    session.state = STATE.IDLE;
+    await jobQueue.update(job, {
+      selection,
+      selectionPage: Math.floor(selection[0] / GALLERIES_PER_PAGE)
+    });
+    await this.showSelection(job);
+    ctx.reply(`✅ ${selection.length} galleries selected. Press "⬇️ Download" to start.`);
+  }
+
+  /**
+   * Normalize a domain typed by an admin (a full URL works too)
+   * @param {string} input - Domain or URL
+   * @returns {string|null} Domain without www., or null if it is not a domain
+   */
+  parseDomainInput(input) {
+    const value = (input || '').trim().toLowerCase();
+    if (!value) return null;
+
+    let domain;
+    try {
+      domain = value.startsWith('http') ? strategyEngine.extractDomain(value) : value.replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
+  }
+
+  /**
+   * List loaded strategies with their source file and features
+   * @param {Context} ctx - Telegram context
+   */
+  async listStrategies(ctx) {
+    const lines = strategyEngine.listStrategies().map(({ domain, strategy, source }) => {
+      const features = [
+        strategy.galleries ? 'single + multi' : 'single only',
+        strategy.images.engine && strategy.images.engine !== 'jsdom' ? `engine: ${strategy.images.engine}` : null,
+        strategy.images.pagination || strategy.galleries?.pagination ? 'pagination' : null,
+        strategy.images.rewrites ? 'rewrites' : null
+      ].filter(Boolean);
+      return `• ${domain} — ${strategy.name}\n   ${source} · ${features.join(', ')}`;
+    });
+
+    // Plain text: names and selectors may contain Markdown characters
+    ctx.reply(
+      `🧩 Site strategies (${lines.length}):\n\n${lines.join('\n')}\n\n` +
+      '/strategy_add <domain> · /strategy_test <url> · /strategy_remove <domain>'
+    );
+  }
+
+  /**
+   * Start the guided /strategy_add conversation
+   * @param {Context} ctx - Telegram context
+   * @param {string} input - Domain argument
    */
-  async processSingleGallery(ctx, url) {
+  async startStrategyWizard(ctx, input) {
+    const domain = this.parseDomainInput(input);
+    if (!domain) {
+      ctx.reply('Usage: /strategy_add <domain>\nExample: /strategy_add example.com');
+      return;
+    }
+
     const session = this.getUserSession(ctx.from.id);
-    session.state = STATE.PROCESSING;
+    session.state = STATE.WAITING_STRATEGY_INPUT;
+    session.strategyDraft = { domain, step: 0, values: {} };
+
+    await ctx.reply(
+      `🛠 New strategy for ${domain}\n` +
+      (strategyEngine.isSupported(`https://${domain}/`) ? '⚠️ This replaces the existing strategy.\n' : '') +
+      '\nAnswer each question. Send - to skip an optional step or keep the default, /cancel to stop.'
+    );
+    await this.askStrategyStep(ctx, session.strategyDraft);
+  }
+
+  /**
+   * Ask the current /strategy_add question
+   * @param {Context} ctx - Telegram context
+   * @param {Object} draft - Strategy draft from the session
+   */
+  async askStrategyStep(ctx, draft) {
+    const step = STRATEGY_STEPS[draft.step];
+    let hint = '';
+    if (step.default !== undefined) {
+      hint = `\n(default: ${step.default})`;
+    } else if (step.optional) {
+      hint = '\n(optional)';
+    }
+    await ctx.reply(`${draft.step + 1}/${STRATEGY_STEPS.length} ${step.prompt}${hint}`);
+  }
+
+  /**
+   * Record an answer to /strategy_add and save the strategy after the last question
+   * @param {Context} ctx - Telegram context
+   * @param {Object} session - User session
+   */
+  async handleStrategyInput(ctx, session) {
+    const draft = session.strategyDraft;
+    const step = STRATEGY_STEPS[draft.step];
+    const input = ctx.message.text.trim();
+
+    if (input === '-') {
+      if (step.default === undefined && !step.optional) {
+        ctx.reply('❌ This step is required.');
+        return;
+      }
+      if (step.default !== undefined) {
+        draft.values[step.key] = step.default;
+      }
+    } else if (step.selector && !strategyEngine.isValidSelector(input)) {
+      ctx.reply('❌ That is not a valid CSS selector. Try again.');
+      return;
+    } else {
+      draft.values[step.key] = step.list
+        ? input.split(',').map(value => value.trim()).filter(Boolean)
+        : input;
+    }
+
+    // Skip questions whose prerequisite was skipped
+    do {
+      draft.step++;
+    } while (
+      draft.step < STRATEGY_STEPS.length &&
+      STRATEGY_STEPS[draft.step].requires &&
+      draft.values[STRATEGY_STEPS[draft.step].requires] === undefined
+    );
+
+    if (draft.step < STRATEGY_STEPS.length) {
+      await this.askStrategyStep(ctx, draft);
+      return;
+    }
+
+    session.state = STATE.IDLE;
+    delete session.strategyDraft;
+
+    // "images.selector" -> { images: { selector } }
+    const strategy = {};
+    for (const [key, value] of Object.entries(draft.values)) {
+      const [section, field] = key.split('.');
+      if (field) {
+        strategy[section] = { ...strategy[section], [field]: value };
+      } else {
+        strategy[section] = value;
+      }
+    }
+
+    try {
+      const { file, applied } = await strategyEngine.saveStrategy(draft.domain, strategy);
+      Logger.info(`Strategy for ${draft.domain} saved by admin ${ctx.from.id}`);
+      ctx.reply(
+        applied
+          ? `✅ Strategy for ${draft.domain} saved to ${file} and active now.\nTry it with /strategy_test <url>`
+          : `⚠️ Strategy saved to ${file}, but another strategy file is invalid so the reload was rejected. Check the logs.`,
+        this.getMainMenu()
+      );
+    } catch (error) {
+      ctx.reply(`❌ ${error.message}\n\nRun /strategy_add ${draft.domain} to try again.`, this.getMainMenu());
+    }
+  }
+
+  /**
+   * Dry-run the strategy for a URL: counts and sample URLs, nothing downloaded
+   * Uses the static HTML of the first page only (no scrolling or pagination)
+   * @param {Context} ctx - Telegram context
+   * @param {string} input - Page URL
+   */
+  async testStrategy(ctx, input) {
+    const url = (input || '').trim();
+    if (!url.startsWith('http')) {
+      ctx.reply('Usage: /strategy_test <gallery or model page URL>');
+      return;
+    }
+
+    const strategy = strategyEngine.getStrategy(url);
+    if (!strategy && !GENERIC_SCRAPER) {
+      ctx.reply(`❌ No strategy for ${strategyEngine.extractDomain(url)}. Add one with /strategy_add.`);
+      return;
+    }
+
+    await ctx.reply('🧪 Fetching page...');
+    // A login or page that hangs must not block the command forever
+    const signal = AbortSignal.timeout(TEST_TIMEOUT_MS);
+    let html;
+    try {
+      await PuppeteerScraper.ensureSession(url, { signal });
+      html = await JsdomScraper.fetchHTML(url, { signal });
+    } catch (error) {
+      if (signal.aborted) {
+        throw new Error(`Login or page fetch took longer than ${TEST_TIMEOUT_MS / 1000} seconds`);
+      }
+      throw error;
+    }
+    const sample = urls => urls.slice(0, TEST_SAMPLE_SIZE).map(sampleUrl => `  ${sampleUrl}`);
+    const lines = [`🧪 Dry run for ${strategyEngine.extractDomain(url)} (static HTML of this page only)`, ''];
+
+    if (!strategy) {
+      const { urls, dropped } = GenericScraper.parseImages(html, url);
+      lines.push(
+        'No strategy: generic scraper',
+        `Images: ${urls.length} kept, ${dropped.length} dropped as site chrome`,
+        ...sample(urls)
+      );
+    } else {
+      const images = JsdomScraper.parseImages(html, strategy);
+      if (strategy.images.engine === 'puppeteer' || strategy.images.engine === 'auto') {
+        lines.push(`Engine ${strategy.images.engine}: the bot may render this page in the browser, results can differ`);
+      }
+      lines.push(
+        `Images (${strategy.images.selector}):`,
+        `${images.matched.length} matched, ${images.rewritten.length} rewritten, ` +
+        `${images.filteredOut.length} filtered out, ${images.urls.length} kept`,
+        ...sample(images.urls)
+      );
+      if (images.nextLink) {
+        lines.push(`Next page link: ${images.nextLink}`);
+      }
+      if (images.metadata) {
+        const { title, model, date, tags } = images.metadata;
+        lines.push(
+          `Metadata: title ${title || '-'}, model ${model || '-'}, date ${date || '-'}, ` +
+          `tags ${tags.length > 0 ? tags.join(', ') : '-'}`
+        );
+      }
+
+      if (strategy.galleries) {
+        const galleries = JsdomScraper.parseGalleryLinks(html, strategy, url);
+        lines.push(
+          '',
+          `Galleries (${strategy.galleries.selector}):`,
+          `${galleries.urls.length} found`,
+          ...sample(galleries.urls)
+        );
+        if (galleries.nextLink) {
+          lines.push(`Next page link: ${galleries.nextLink}`);
+        }
+      }
+    }
+
+    ctx.reply(lines.join('\n'), { disable_web_page_preview: true });
+  }
+
+  /**
+   * Remove a strategy from the built-in config and the strategies directory
+   * @param {Context} ctx - Telegram context
+   * @param {string} input - Domain argument
+   */
+  async removeStrategy(ctx, input) {
+    const domain = this.parseDomainInput(input);
+    if (!domain) {
+      ctx.reply('Usage: /strategy_remove <domain>');
+      return;
+    }
+
+    const { files, applied } = await strategyEngine.removeStrategy(domain);
+    if (files.length === 0) {
+      ctx.reply(`ℹ️ No strategy found for ${domain}.`);
+      return;
+    }
+
+    Logger.info(`Strategy for ${domain} removed by admin ${ctx.from.id}`);
+    ctx.reply(
+      applied
+        ? `🗑 Strategy for ${domain} removed (${files.join(', ')}).`
+        : `⚠️ Removed from ${files.join(', ')}, but the reload was rejected. Check the logs.`
+    );
+  }
+
+  /**
+   * Add a download job to the queue
+   * @param {Context} ctx - Telegram context
+   * @param {string} type - Job type (single or multi)
+   * @param {string} url - Gallery or model page URL
+   * @param {Object} options - Job options (defaults to the user's settings)
+   * @param {Object} fields - Extra job fields (e.g. a confirmed gallery selection)
+   * @returns {Promise<Object>} Queued job
+   */
+  async enqueueJob(ctx, type, url, options = null, fields = {}) {
+    const statusMsg = await ctx.reply('⏳ Added to the download queue...');
+    const settings = userSettings.get(ctx.from.id);
+
+    return jobQueue.enqueue({
+      type,
+      url,
+      userId: ctx.from.id,
+      chatId: ctx.chat.id,
+      statusMessageId: statusMsg.message_id,
+      options: options || {
+        delivery: settings.delivery,
+        format: settings.format,
+        volumeSizeMB: settings.volumeSizeMB,
+        dedupe: settings.dedupe
+      },
+      ...fields
+    });
+  }
+
+  /**
+   * Show a waiting job its position in line
+   * @param {Object} job - Job record
+   * @param {number} position - 1-based queue position
+   */
+  async notifyQueuePosition(job, position) {
+    await this.updateStatus(
+      job,
+      `⏳ Queued — you are #${position} in line.\n` +
+      'Your download will start automatically.'
+    );
+  }
+
+  /**
+   * Cancel a queued or running job
+   * Running jobs clean up and report from their own error handler
+   * @param {Object} job - Job record
+   */
+  async cancelJob(job) {
+    const wasWaiting = job.status !== jobQueue.JOB_STATUS.RUNNING;
+    await jobQueue.cancel(job);
+
+    if (wasWaiting) {
+      await this.updateStatus(job, '🚫 Download cancelled.', {}).catch(() => {});
+    }
+  }
+
+  /**
+   * Process a queued job
+   * @param {Object} job - Job record
+   * @param {AbortSignal} signal - Aborted when the user cancels the job
+   */
+  async processJob(job, signal) {
+    if (job.type === JOB_TYPE.MULTI) {
+      await this.processMultiGallery(job, signal);
+    } else {
+      await this.processSingleGallery(job, signal);
+    }
+  }
+
+  /**
+   * Report a failed or cancelled job on its status message
+   * @param {Object} job - Job record
+   * @param {Error} error - Failure
+   * @param {AbortSignal} signal - Job abort signal
+   */
+  async reportJobError(job, error, signal) {
+    const text = signal.aborted
+      ? '🚫 Download cancelled.'
+      : `❌ Error: ${error.message}\n\nPlease try again.`;
+
+    await this.updateStatus(job, text, {}).catch(() => {});
+  }
+
+  /**
+   * Build an onPage callback that shows paginated scraping on the status message
+   * @param {Object} job - Job record
+   * @param {string} text - Status text shown above the page line
+   * @param {string} unit - What is being collected (images, galleries)
+   * @returns {Function} onPage callback for the scrapers
+   */
+  createPageReporter(job, text, unit) {
+    let lastUpdateTime = 0;
+
+    return ({ page, maxPages, total }) => {
+      const now = Date.now();
+      // Page 1 is covered by the initial status; later pages every 5 seconds
+      if (page === 1 || now - lastUpdateTime < UPDATE_INTERVAL_MS) return;
+      lastUpdateTime = now;
+      this.updateStatus(
+        job,
+        `${text}\n📄 Page ${page} of up to ${maxPages} — ${total} ${unit} so far`
+      ).catch(() => {});
+    };
+  }
+
+  /**
+   * Unpack the archive of the streamed job a retry comes from into the retry's work dir,
+   * so only the images missing from it are downloaded before everything is archived again
+   * @param {Object} job - Retry job (reuseArchive holds the published file names)
+   * @param {DownloadManifest} manifest - Work dir manifest
+   * @param {AbortSignal} signal - Job abort signal
+   */
+  async restoreStreamedArchive(job, manifest, signal) {
+    const archivePaths = job.reuseArchive.map(fileName => path.join(DOWNLOADS_DIR, fileName));
+    await this.updateStatus(job, '📂 Unpacking the previous archive...');
+    try {
+      await ArchiveReader.restore(archivePaths, manifest, { signal });
+    } catch (error) {
+      signal.throwIfAborted();
+      // Removed by retention in the meantime, or unreadable: every image is downloaded again
+      Logger.warn('Previous archive cannot be reused, downloading every image again', { error: error.message });
+    }
+  }
+
+  /**
+   * Check whether a job's archive can be streamed without staging images on disk
+   * @param {Object} job - Job record
+   * @returns {boolean}
+   */
+  canStreamArchive(job) {
+    return STREAM_ARCHIVES &&
+      (job.options?.delivery || DELIVERY.LINK) === DELIVERY.LINK &&
+      StreamingArchiver.supportsFormat(job.options?.format) &&
+      !this.wantsDedupe(job) &&
+      // Retries stage on disk so the images that are already there are not fetched again
+      !job.options?.retryOf;
+  }
+
+  /**
+   * Check whether a job runs the duplicate check (multi-gallery only; needs the images staged on disk)
+   * @param {Object} job - Job record
+   * @returns {boolean}
+   */
+  wantsDedupe(job) {
+    return job.type === JOB_TYPE.MULTI &&
+      Boolean(job.options?.dedupe) &&
+      job.options.dedupe !== DuplicateFinder.MODES.OFF;
+  }
+
+  /**
+   * Log in to the job's site first when its request profile has a login flow
+   * @param {Object} job - Job record
+   * @param {string} url - Page URL
+   * @param {AbortSignal} signal - Job abort signal
+   */
+  async ensureSiteSession(job, url, signal) {
+    if (!requestProfiles.needsLogin(url)) return;
+
+    await this.updateStatus(job, '🔑 Logging in to the site...');
+    await PuppeteerScraper.ensureSession(url, { signal });
+  }
+
+  /**
+   * Extract a gallery's images with the engine its strategy asks for
+   * "auto" renders the page in headless Chrome only when the static HTML has no images
+   * @param {string} url - Gallery URL
+   * @param {Object} strategy - Strategy configuration for the site
+   * @param {Object} options - { signal, onPage }, passed to the scraper
+   * @returns {Promise<Object>} { urls, fallbacks, metadata }
+   */
+  async extractGalleryImages(url, strategy, options = {}) {
+    const engine = strategy.images.engine || 'jsdom';
+    if (engine === 'puppeteer') {
+      return PuppeteerScraper.extractImages(url, strategy, options);
+    }
 
-    const statusMsg = await ctx.reply('⏳ Processing... Please wait.');
+    const result = await JsdomScraper.extractImages(url, strategy, options);
+    if (engine === 'auto' && result.urls.length === 0) {
+      Logger.info(`No images in the static HTML, retrying in the browser: ${url}`);
+      return PuppeteerScraper.extractImages(url, strategy, options);
+    }
+    return result;
+  }
+
+  /**
+   * Process single gallery download
+   * @param {Object} job - Job record
+   * @param {AbortSignal} signal - Job abort signal
+   */
+  async processSingleGallery(job, signal) {
+    const url = job.url;
     let tempDir;
-    let archivePath;
+    let manifest;
+    let archivePaths;
 
     try {
-      // Get strategy
+      // Get strategy (none means best-effort generic extraction)
       const strategy = strategyEngine.getStrategy(url);
+      if (!strategy && !GENERIC_SCRAPER) {
+        throw new Error('This site is not supported');
+      }
+      await this.ensureSiteSession(job, url, signal);
       
       // Extract images
-      await this.retryWithBackoff(async () => {
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          '🔍 Extracting image URLs...'
-        );
-      });
-      const imageUrls = await JsdomScraper.extractImages(url, strategy);
+      let imageUrls;
+      let fallbacks;
+      let metadata;
+      if (strategy) {
+        await this.updateStatus(job, '🔍 Extracting image URLs...');
+        ({ urls: imageUrls, fallbacks, metadata } = await this.extractGalleryImages(url, strategy, {
+          signal,
+          onPage: this.createPageReporter(job, '🔍 Extracting image URLs...', 'images')
+        }));
+      } else {
+        await this.updateStatus(job, '🔍 Extracting image URLs (generic mode, best-effort)...');
+        ({ urls: imageUrls, fallbacks } = await GenericScraper.extractImages(url, { signal }));
+      }
 
       if (imageUrls.length === 0) {
         throw new Error('No images found in gallery');
       }
 
-      await this.retryWithBackoff(async () => {
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          `✅ Found ${imageUrls.length} images\n📥 Downloading...`
-        );
-      });
+      // The folder inside the archive is named after the gallery title; the archive file keeps the URL slug
+      const archiveName = JsdomScraper.extractGalleryName(url);
+      const galleryName = JsdomScraper.getFolderName(url, metadata);
+
+      // Reuse a recently published archive of the same gallery
+      let cacheKey;
+      if (!job.options?.delivery || job.options.delivery === DELIVERY.LINK) {
+        cacheKey = archiveCache.buildKey(url, imageUrls, job.options);
+        const cached = job.options?.forceRefresh ? null : await archiveCache.get(cacheKey);
+
+        // A cache miss also when retention deletes the archive between the lookup and the reply
+        if (cached && await this.sendCachedLink(job, cached)) {
+          await this.retryWithBackoff(async () => {
+            await this.bot.telegram.deleteMessage(job.chatId, job.statusMessageId);
+          }).catch(() => {});
+          await this.retryWithBackoff(async () => {
+            await this.bot.telegram.sendMessage(job.chatId, 'Ready for next download!', this.getMainMenu());
+          });
+          return;
+        }
+      }
 
-      // Create temp directory and gallery subfolder
-      tempDir = await FileManager.createTempDir('single_gallery');
-      const galleryName = JsdomScraper.extractGalleryName(url);
-      const galleryDir = path.join(tempDir, galleryName);
-      await fs.promises.mkdir(galleryDir, { recursive: true });
+      await this.updateStatus(job, `✅ Found ${imageUrls.length} images\n📥 Downloading...`);
 
       // Time-based update tracking
       let lastUpdateTime = 0;
-
-      // Download images to gallery folder
-      const downloadResult = await ImageDownloader.downloadImages(
-        imageUrls,
-        galleryDir,
-        5,
-        (progress) => {
-          const now = Date.now();
-          // Update every 5 seconds OR when complete
-          if (now - lastUpdateTime >= UPDATE_INTERVAL_MS || progress.current === progress.total) {
-            lastUpdateTime = now;
-            this.retryWithBackoff(async () => {
-              await ctx.telegram.editMessageText(
-                ctx.chat.id,
-                statusMsg.message_id,
-                null,
-                `📥 Downloading: ${progress.current}/${progress.total}\n` +
-                `✅ Success: ${progress.success} | ❌ Failed: ${progress.failed}`
-              );
-            }).catch(() => {});
-          }
+      const onProgress = (progress) => {
+        const now = Date.now();
+        // Update every 5 seconds OR when complete
+        if (now - lastUpdateTime >= UPDATE_INTERVAL_MS || progress.current === progress.total) {
+          lastUpdateTime = now;
+          this.updateStatus(
+            job,
+            `📥 Downloading: ${progress.current}/${progress.total}\n` +
+            `✅ Success: ${progress.success} | ❌ Failed: ${progress.failed}`
+          ).catch(() => {});
         }
-      );
+      };
+
+      let downloadResult;
+      if (this.canStreamArchive(job)) {
+        // Pipe images straight into the archive
+        const streamResult = await StreamingArchiver.downloadToArchive(
+          [{ name: galleryName, urls: imageUrls, fallbacks, url, metadata }],
+          path.join(DOWNLOADS_DIR, `${archiveName}_${Date.now()}`),
+          { format: job.options.format, volumeSizeMB: job.options.volumeSizeMB, signal, sourceUrl: url },
+          (progress) => onProgress(progress.galleryProgress)
+        );
+        archivePaths = streamResult.files;
+        downloadResult = {
+          total: streamResult.totalImages,
+          success: streamResult.successImages,
+          failed: streamResult.failedImages,
+          outcomes: streamResult.galleries[0].outcomes
+        };
+      } else {
+        // Same user and gallery = same work dir, so a rerun skips the images that are already there
+        tempDir = await FileManager.getResumableDir('single_gallery', `${job.userId}|${archiveCache.normalizeUrl(url)}`);
+        manifest = await DownloadManifest.open(tempDir);
+        if (job.reuseArchive) await this.restoreStreamedArchive(job, manifest, signal);
+        // Reports of an earlier run, or its folder if the gallery title has changed since
+        await ImageDownloader.removeStaleFiles(manifest.filesDir, [galleryName]);
+        const galleryDir = path.join(manifest.filesDir, galleryName);
+        await fs.promises.mkdir(galleryDir, { recursive: true });
+
+        // Download images to gallery folder
+        downloadResult = await ImageDownloader.downloadImages(imageUrls, galleryDir, 5, onProgress, { signal, fallbacks, manifest });
+      }
 
       if (downloadResult.success === 0) {
         throw new Error('Failed to download any images');
       }
 
-      // Create 7z archive from temp directory (which contains gallery folder)
-      await this.retryWithBackoff(async () => {
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          '📦 Creating archive...'
-        );
-      });
-      archivePath = await ZipCreator.createSingleGalleryZip(tempDir, galleryName);
-
-      // Send download link
-      await this.retryWithBackoff(async () => {
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          '🔗 Generating download link...'
-        );
+      // Kept on the job for the "Show failures" and "Retry failed" buttons
+      const failures = FailureReport.collect([{ name: galleryName, outcomes: downloadResult.outcomes }]);
+      await jobQueue.update(job, {
+        failures,
+        imageCount: downloadResult.total,
+        streamedFiles: archivePaths ? archivePaths.map(archivePath => path.basename(archivePath)) : null
       });
+      const linkDelivery = !job.options?.delivery || job.options.delivery === DELIVERY.LINK;
 
       const caption =
         `✅ *Download Complete!*\n\n` +
-        `📋 Gallery: ${galleryName}\n` +
-        `📷 Images: ${downloadResult.success}/${downloadResult.total}`;
+        `📋 Gallery: ${this.escapeMarkdown(galleryName)}\n` +
+        `📷 Images: ${downloadResult.success}/${downloadResult.total}` +
+        (failures.length > 0 ? `\n⚠️ Failed: ${failures.length}${linkDelivery ? ' (see failures.txt)' : ''}` : '') +
+        (strategy ? '' : `\n\n⚠️ _Best-effort: ${strategyEngine.extractDomain(url)} has no site strategy, so images were picked heuristically. Some may be missing or extra._`);
+
+      if (!linkDelivery) {
+        // Upload straight into the chat
+        await this.deliverToChat(
+          job, [{ name: galleryName, files: downloadResult.files }], caption, signal, this.getFailureKeyboard(job)
+        );
+      } else {
+        if (!archivePaths) {
+          // Create archive from temp directory (which contains gallery folder)
+          await FailureReport.write(manifest.filesDir, failures, downloadResult.total);
+          await GalleryManifest.write(
+            manifest.filesDir,
+            await GalleryManifest.fromStaged(url, [{ name: galleryName, url, metadata }], [downloadResult])
+          );
+          await this.updateStatus(job, '📦 Creating archive...');
+          archivePaths = await ZipCreator.createSingleGalleryZip(manifest.filesDir, archiveName, {
+            format: job.options?.format,
+            volumeSizeMB: job.options?.volumeSizeMB,
+            signal
+          });
+        }
+
+        // Send download link
+        await this.updateStatus(job, '🔗 Generating download link...');
+        await this.sendDownloadLink(job.chatId, archivePaths, caption, this.getFailureKeyboard(job));
+        // An incomplete archive is not reused; the next request tries the missing images again
+        if (failures.length === 0) {
+          await archiveCache.set(cacheKey, archivePaths.map(archivePath => path.basename(archivePath)), caption);
+        }
+
+        // Published archives belong to retention now
+        archivePaths = null;
+      }
 
-      await this.sendDownloadLink(ctx, archivePath, caption);
       await this.retryWithBackoff(async () => {
-        await ctx.telegram.deleteMessage(ctx.chat.id, statusMsg.message_id);
+        await this.bot.telegram.deleteMessage(job.chatId, job.statusMessageId);
       }).catch(() => {});
 
-      // Cleanup temp directory
-      await FileManager.deleteDir(tempDir);
+      // Cleanup temp directory; with failures it stays for "Retry failed" (the temp sweep removes it later)
+      if (tempDir && failures.length === 0) await FileManager.deleteDir(tempDir);
 
-      session.state = STATE.IDLE;
       await this.retryWithBackoff(async () => {
-        await ctx.reply('Ready for next download!', this.getMainMenu());
+        await this.bot.telegram.sendMessage(job.chatId, 'Ready for next download!', this.getMainMenu());
       });
 
     } catch (error) {
-      Logger.error('Single gallery processing failed', { error: error.message, url });
-      await this.retryWithBackoff(async () => {
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          `❌ Error: ${error.message}\n\nPlease try again.`
-        );
-      }).catch(() => {});
+      if (!signal.aborted) {
+        Logger.error('Single gallery processing failed', { error: error.message, url });
+      }
+      await this.reportJobError(job, error, signal);
 
-      if (tempDir) await FileManager.deleteDir(tempDir);
-      if (archivePath) await FileManager.deleteFile(archivePath).catch(() => {});
+      // A failed download keeps its work dir so a rerun can resume it (the temp sweep removes it later)
+      if (tempDir && signal.aborted) await FileManager.deleteDir(tempDir);
+      for (const archivePath of archivePaths || []) {
+        await FileManager.deleteFile(archivePath);
+      }
 
-      session.state = STATE.IDLE;
+      throw error;
     }
   }
 
   /**
-   * Process multi-gallery download
+   * Find galleries on a model page and pause the job for gallery selection
+   * @param {Object} job - Job record
+   * @param {AbortSignal} signal - Job abort signal
    */
-  async processMultiGallery(ctx, url) {
-    const session = this.getUserSession(ctx.from.id);
-    session.state = STATE.PROCESSING;
-
-    const statusMsg = await ctx.reply('⏳ Processing... This may take a while.');
-    let tempDir;
-    let archivePath;
-
+  async discoverGalleries(job, signal) {
     try {
-      // Get strategy
-      const strategy = strategyEngine.getStrategy(url);
+      const strategy = strategyEngine.getStrategy(job.url);
+      await this.ensureSiteSession(job, job.url, signal);
 
-      // Extract gallery links
-      await this.retryWithBackoff(async () => {
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          '🌐 Opening page and extracting galleries...\nThis may take 1-2 minutes.'
-        );
+      await this.updateStatus(job, '🌐 Opening page and extracting galleries...\nThis may take 1-2 minutes.');
+      const galleryLinks = await PuppeteerScraper.extractGalleryLinks(job.url, strategy, {
+        signal,
+        onPage: this.createPageReporter(job, '🌐 Extracting galleries...', 'galleries')
       });
-      const galleryLinks = await PuppeteerScraper.extractGalleryLinks(url, strategy);
 
       if (galleryLinks.length === 0) {
         throw new Error('No galleries found on this page');
       }
 
-      await this.retryWithBackoff(async () => {
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          `✅ Found ${galleryLinks.length} galleries!\n\n🔍 Extracting images from each gallery...`
-        );
+      // Everything is selected by default; nothing downloads until the user confirms
+      await jobQueue.suspend(job, {
+        galleryLinks,
+        selection: galleryLinks.map((link, index) => index),
+        selectionPage: 0
       });
+      await this.showSelection(job);
+    } catch (error) {
+      if (!signal.aborted) {
+        Logger.error('Gallery discovery failed', { error: error.message, url: job.url });
+      }
+      await this.reportJobError(job, error, signal);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the gallery selection message for a paused job
+   * @param {Object} job - Job record
+   * @returns {Object} { text, extra }
+   */
+  getSelectionView(job) {
+    const total = job.galleryLinks.length;
+    const selected = new Set(job.selection);
+    const pageCount = Math.ceil(total / GALLERIES_PER_PAGE);
+    const page = Math.min(job.selectionPage || 0, pageCount - 1);
+    const start = page * GALLERIES_PER_PAGE;
+    const end = Math.min(start + GALLERIES_PER_PAGE, total);
+
+    const lines = [];
+    const toggles = [];
+    for (let i = start; i < end; i++) {
+      const mark = selected.has(i) ? '✅' : '⬜';
+      const name = JsdomScraper.extractGalleryName(job.galleryLinks[i]).substring(0, 40);
+      lines.push(`${mark} ${i + 1}. ${name}`);
+      toggles.push(Markup.button.callback(`${mark} ${i + 1}`, `sel:${job.id}:toggle:${i}`));
+    }
+
+    const rows = [];
+    for (let i = 0; i < toggles.length; i += 5) {
+      rows.push(toggles.slice(i, i + 5));
+    }
+    rows.push([
+      Markup.button.callback('◀️', `sel:${job.id}:page:${page - 1}`),
+      Markup.button.callback(`${page + 1}/${pageCount}`, `sel:${job.id}:noop`),
+      Markup.button.callback('▶️', `sel:${job.id}:page:${page + 1}`)
+    ]);
+    rows.push([
+      Markup.button.callback('☑️ All', `sel:${job.id}:all`),
+      Markup.button.callback('🔲 None', `sel:${job.id}:none`),
+      Markup.button.callback('🔢 First N / Range', `sel:${job.id}:input`)
+    ]);
+    rows.push(this.getOptionButtons('dedupe', job.options?.dedupe || DuplicateFinder.MODES.OFF, `opt:${job.id}:dedupe`));
+    rows.push([
+      Markup.button.callback(`⬇️ Download (${selected.size})`, `sel:${job.id}:confirm`),
+      Markup.button.callback('❌ Cancel', `cancel:${job.id}`)
+    ]);
+
+    const text =
+      `✅ Found ${total} galleries!\n\n` +
+      'Choose which galleries to download:\n\n' +
+      `${lines.join('\n')}\n\n` +
+      `Selected: ${selected.size}/${total}\n\n` +
+      '🔁 Photos repeated across galleries: keep them, list them in duplicates.txt, or remove them (the largest copy stays)';
+
+    return { text, extra: Markup.inlineKeyboard(rows) };
+  }
+
+  /**
+   * Show (or refresh) the gallery selection message
+   * @param {Object} job - Job record
+   */
+  async showSelection(job) {
+    const { text, extra } = this.getSelectionView(job);
+    await this.updateStatus(job, text, extra);
+  }
+
+  /**
+   * Parse "N" (first N) or ranges like "5-20" / "1,3,8-12" into gallery indices
+   * @param {string} input - User input
+   * @param {number} total - Number of galleries
+   * @returns {Array|null} Sorted 0-based indices, or null if invalid
+   */
+  parseSelectionInput(input, total) {
+    const text = input.trim();
+
+    if (/^\d+$/.test(text)) {
+      const count = Math.min(parseInt(text), total);
+      return count > 0 ? Array.from({ length: count }, (v, i) => i) : null;
+    }
+
+    const indices = new Set();
+    for (const part of text.split(',')) {
+      const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+      if (!match) return null;
+
+      const from = parseInt(match[1]);
+      const to = match[2] ? parseInt(match[2]) : from;
+      if (from < 1 || to < from || from > total) return null;
+
+      for (let i = from; i <= Math.min(to, total); i++) {
+        indices.add(i - 1);
+      }
+    }
+
+    return [...indices].sort((a, b) => a - b);
+  }
+
+  /**
+   * Handle a gallery selection keyboard action
+   * @param {Context} ctx - Telegram context
+   * @param {Object} job - Paused job
+   * @param {string} action - Action name
+   * @param {string} arg - Action argument
+   */
+  async handleSelectionAction(ctx, job, action, arg) {
+    const total = job.galleryLinks.length;
+
+    switch (action) {
+      case 'toggle': {
+        const index = parseInt(arg);
+        const selection = new Set(job.selection);
+        if (selection.has(index)) {
+          selection.delete(index);
+        } else {
+          selection.add(index);
+        }
+        await jobQueue.update(job, { selection: [...selection].sort((a, b) => a - b) });
+        break;
+      }
+      case 'page': {
+        const pageCount = Math.ceil(total / GALLERIES_PER_PAGE);
+        const page = (parseInt(arg) + pageCount) % pageCount;
+        await jobQueue.update(job, { selectionPage: page });
+        break;
+      }
+      case 'all':
+        await jobQueue.update(job, { selection: job.galleryLinks.map((link, index) => index) });
+        break;
+      case 'none':
+        await jobQueue.update(job, { selection: [] });
+        break;
+      case 'input': {
+        const session = this.getUserSession(ctx.from.id);
+        session.state = STATE.WAITING_SELECTION_INPUT;
+        session.selectionJobId = job.id;
+        await ctx.answerCbQuery().catch(() => {});
+        await ctx.reply(
+          '🔢 Send the galleries to download:\n\n' +
+          '• A number, e.g. 10 → first 10 galleries\n' +
+          '• A range, e.g. 5-20\n' +
+          '• A list, e.g. 1,3,8-12\n\n' +
+          `Galleries are numbered 1-${total}.`
+        );
+        return;
+      }
+      case 'confirm': {
+        if (job.selection.length === 0) {
+          await ctx.answerCbQuery('Select at least one gallery').catch(() => {});
+          return;
+        }
+        // Set before the first await, so a double click resumes the job once (see the sel: action)
+        job.selectionConfirmed = true;
+        await ctx.answerCbQuery('Starting download...').catch(() => {});
+        await this.updateStatus(job, `⏳ ${job.selection.length} galleries selected. Waiting for a free worker...`)
+          .catch(() => {});
+        await jobQueue.resume(job, { selectionConfirmed: true });
+        return;
+      }
+      default:
+        await ctx.answerCbQuery().catch(() => {});
+        return;
+    }
+
+    await ctx.answerCbQuery().catch(() => {});
+    await this.showSelection(job);
+  }
+
+  /**
+   * Process multi-gallery download
+   * The first run discovers galleries; the second runs after the user confirms a selection
+   * @param {Object} job - Job record
+   * @param {AbortSignal} signal - Job abort signal
+   */
+  async processMultiGallery(job, signal) {
+    if (!job.selectionConfirmed) {
+      await this.discoverGalleries(job, signal);
+      return;
+    }
+
+    const url = job.url;
+    let tempDir;
+    let manifest;
+    let archivePaths;
+
+    try {
+      // Get strategy
+      const strategy = strategyEngine.getStrategy(url);
+      const galleryLinks = job.selection.map(index => job.galleryLinks[index]);
+      await this.ensureSiteSession(job, url, signal);
+
+      await this.updateStatus(
+        job,
+        `✅ ${galleryLinks.length} galleries selected!\n\n🔍 Extracting images from each gallery...`
+      );
 
       // Time-based update tracking for extraction
       let lastExtractionUpdateTime = 0;
@@ -492,130 +1961,206 @@ class TelegramBot {
       // Extract images from each gallery
       const galleries = [];
       for (let i = 0; i < galleryLinks.length; i++) {
+        signal.throwIfAborted();
         const galleryUrl = galleryLinks[i];
-        const galleryName = JsdomScraper.extractGalleryName(galleryUrl);
 
         try {
-          const imageUrls = await JsdomScraper.extractImages(galleryUrl, strategy);
-          galleries.push({ name: galleryName, urls: imageUrls });
+          const { urls: imageUrls, fallbacks, metadata } = await this.extractGalleryImages(galleryUrl, strategy, { signal });
+
+          // Folders are named after gallery titles; galleries with the same title get a number
+          const folderName = JsdomScraper.getFolderName(galleryUrl, metadata);
+          let galleryName = folderName;
+          for (let n = 2; galleries.some(gallery => gallery.name === galleryName); n++) {
+            galleryName = `${folderName} (${n})`;
+          }
+          galleries.push({ name: galleryName, urls: imageUrls, fallbacks, url: galleryUrl, metadata });
 
           const now = Date.now();
           // Update every 5 seconds OR when complete
           if (now - lastExtractionUpdateTime >= UPDATE_INTERVAL_MS || i === galleryLinks.length - 1) {
             lastExtractionUpdateTime = now;
-            this.retryWithBackoff(async () => {
-              await ctx.telegram.editMessageText(
-                ctx.chat.id,
-                statusMsg.message_id,
-                null,
-                `🔍 Extracting images: ${i + 1}/${galleryLinks.length} galleries processed`
-              );
-            }).catch(() => {});
+            this.updateStatus(
+              job,
+              `🔍 Extracting images: ${i + 1}/${galleryLinks.length} galleries processed`
+            ).catch(() => {});
           }
         } catch (error) {
+          signal.throwIfAborted();
           Logger.warn(`Failed to extract gallery: ${galleryUrl}`, { error: error.message });
         }
       }
 
       const totalImages = galleries.reduce((sum, g) => sum + g.urls.length, 0);
 
-      await this.retryWithBackoff(async () => {
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          `✅ Extraction complete!\n\n` +
-          `📋 Galleries: ${galleries.length}\n` +
-          `📷 Total Images: ${totalImages}\n\n` +
-          `📥 Starting download...`
-        );
-      });
+      await this.updateStatus(
+        job,
+        `✅ Extraction complete!\n\n` +
+        `📋 Galleries: ${galleries.length}\n` +
+        `📷 Total Images: ${totalImages}\n\n` +
+        `📥 Starting download...`
+      );
 
-      // Create temp directory
-      tempDir = await FileManager.createTempDir('multi_gallery');
       const modelName = strategyEngine.extractDomain(url).split('.')[0];
 
       // Time-based update tracking for downloads
       let lastDownloadUpdateTime = 0;
-
-      // Download all galleries
-      await ImageDownloader.downloadMultipleGalleries(
-        galleries,
-        tempDir,
-        (progress) => {
-          const now = Date.now();
-          // Update every 5 seconds
-          if (now - lastDownloadUpdateTime >= UPDATE_INTERVAL_MS) {
-            lastDownloadUpdateTime = now;
-            this.retryWithBackoff(async () => {
-              await ctx.telegram.editMessageText(
-                ctx.chat.id,
-                statusMsg.message_id,
-                null,
-                `📥 Downloading gallery: ${progress.completedGalleries + 1}/${progress.totalGalleries}\n` +
-                `📋 Current: ${progress.galleryName}\n` +
-                `📷 Progress: ${progress.galleryProgress.current}/${progress.galleryProgress.total}`
-              );
-            }).catch(() => {});
-          }
+      const onProgress = (progress) => {
+        const now = Date.now();
+        // Update every 5 seconds
+        if (now - lastDownloadUpdateTime >= UPDATE_INTERVAL_MS) {
+          lastDownloadUpdateTime = now;
+          this.updateStatus(
+            job,
+            `📥 Downloading gallery: ${progress.completedGalleries + 1}/${progress.totalGalleries}\n` +
+            `📋 Current: ${progress.galleryName}\n` +
+            `📷 Progress: ${progress.galleryProgress.current}/${progress.galleryProgress.total}`
+          ).catch(() => {});
         }
-      );
-
-      // Create 7z archive
-      await this.retryWithBackoff(async () => {
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          '📦 Creating archive... (This may take a few minutes)'
+      };
+
+      let downloadResult;
+      if (this.canStreamArchive(job)) {
+        // Pipe all galleries straight into one archive
+        downloadResult = await StreamingArchiver.downloadToArchive(
+          galleries,
+          path.join(DOWNLOADS_DIR, `${modelName}_galleries_${Date.now()}`),
+          { format: job.options.format, volumeSizeMB: job.options.volumeSizeMB, signal, sourceUrl: url },
+          onProgress
         );
-      });
-      archivePath = await ZipCreator.createMultiGalleryZip(tempDir, modelName);
+        archivePaths = downloadResult.files;
+      } else {
+        // Same user and model page = same work dir, so a rerun skips the images that are already there
+        tempDir = await FileManager.getResumableDir('multi_gallery', `${job.userId}|${archiveCache.normalizeUrl(url)}`);
+        manifest = await DownloadManifest.open(tempDir);
+        if (job.reuseArchive) await this.restoreStreamedArchive(job, manifest, signal);
+
+        // Download all galleries
+        downloadResult = await ImageDownloader.downloadMultipleGalleries(galleries, manifest.filesDir, onProgress, { signal, manifest });
+      }
 
-      // Send download link
-      await this.retryWithBackoff(async () => {
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          '🔗 Generating download link...'
-        );
+      if (downloadResult.successImages === 0) {
+        throw new Error('Failed to download any images');
+      }
+
+      // Photos repeated across galleries: the largest copy stays, the others are listed or removed
+      let dedupeResult = null;
+      if (this.wantsDedupe(job)) {
+        await this.updateStatus(job, '🔁 Checking for photos repeated across galleries...');
+        let lastDedupeUpdateTime = Date.now();
+        dedupeResult = await DuplicateFinder.dedupe(downloadResult, manifest.filesDir, {
+          mode: job.options.dedupe,
+          signal,
+          onProgress: ({ current, total }) => {
+            const now = Date.now();
+            if (now - lastDedupeUpdateTime >= UPDATE_INTERVAL_MS) {
+              lastDedupeUpdateTime = now;
+              this.updateStatus(job, `🔁 Checking for duplicates: ${current}/${total} images`).catch(() => {});
+            }
+          }
+        });
+      }
+
+      // Kept on the job for the "Show failures" and "Retry failed" buttons
+      const failures = FailureReport.collect(downloadResult.galleries);
+      await jobQueue.update(job, {
+        failures,
+        imageCount: totalImages,
+        streamedFiles: archivePaths ? archivePaths.map(archivePath => path.basename(archivePath)) : null
       });
+      const linkDelivery = !job.options?.delivery || job.options.delivery === DELIVERY.LINK;
 
-      const caption =
+      let caption =
         `✅ *Multi-Gallery Download Complete!*\n\n` +
         `📋 Galleries: ${galleries.length}\n` +
-        `📷 Total Images: ${totalImages}`;
+        `📷 Images: ${downloadResult.successImages}/${totalImages}`;
+      if (failures.length > 0) {
+        caption += `\n⚠️ Failed: ${failures.length}${linkDelivery ? ' (see failures.txt)' : ''}`;
+      }
+      if (dedupeResult?.removed) {
+        caption += `\n♻️ Duplicates removed: ${dedupeResult.removed}`;
+      } else if (dedupeResult?.duplicates) {
+        caption += `\n🔁 Duplicates found: ${dedupeResult.duplicates} (see duplicates.txt)`;
+      }
+
+      if (!linkDelivery) {
+        // Upload straight into the chat, one gallery after another
+        await this.deliverToChat(job, downloadResult.galleries, caption, signal, this.getFailureKeyboard(job));
+
+        if (dedupeResult?.reportPath) {
+          await this.retryWithBackoff(async () => {
+            await this.bot.telegram.sendDocument(job.chatId, { source: dedupeResult.reportPath, filename: 'duplicates.txt' });
+          });
+        }
+      } else {
+        if (!archivePaths) {
+          // Create archive
+          await FailureReport.write(manifest.filesDir, failures, totalImages);
+          await GalleryManifest.write(
+            manifest.filesDir,
+            await GalleryManifest.fromStaged(url, galleries, downloadResult.galleries)
+          );
+          await this.updateStatus(job, '📦 Creating archive... (This may take a few minutes)');
+          archivePaths = await ZipCreator.createMultiGalleryZip(manifest.filesDir, modelName, {
+            format: job.options?.format,
+            volumeSizeMB: job.options?.volumeSizeMB,
+            signal
+          });
+        }
+
+        // Send download link
+        await this.updateStatus(job, '🔗 Generating download link...');
+        await this.sendDownloadLink(job.chatId, archivePaths, caption, this.getFailureKeyboard(job));
+
+        // Published archives belong to retention now
+        archivePaths = null;
+      }
 
-      await this.sendDownloadLink(ctx, archivePath, caption);
       await this.retryWithBackoff(async () => {
-        await ctx.telegram.deleteMessage(ctx.chat.id, statusMsg.message_id);
+        await this.bot.telegram.deleteMessage(job.chatId, job.statusMessageId);
       }).catch(() => {});
 
-      // Cleanup temp directory
-      await FileManager.deleteDir(tempDir);
+      // Cleanup temp directory; with failures it stays for "Retry failed" (the temp sweep removes it later)
+      if (tempDir && failures.length === 0) await FileManager.deleteDir(tempDir);
 
-      session.state = STATE.IDLE;
       await this.retryWithBackoff(async () => {
-        await ctx.reply('Ready for next download!', this.getMainMenu());
+        await this.bot.telegram.sendMessage(job.chatId, 'Ready for next download!', this.getMainMenu());
       });
 
     } catch (error) {
-      Logger.error('Multi-gallery processing failed', { error: error.message, url });
+      if (!signal.aborted) {
+        Logger.error('Multi-gallery processing failed', { error: error.message, url });
+      }
+      await this.reportJobError(job, error, signal);
+
+      // A failed download keeps its work dir so a rerun can resume it (the temp sweep removes it later)
+      if (tempDir && signal.aborted) await FileManager.deleteDir(tempDir);
+      for (const archivePath of archivePaths || []) {
+        await FileManager.deleteFile(archivePath);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Load the persistent queue and start processing jobs
+   */
+  async startQueue() {
+    const resumed = await jobQueue.load();
+
+    for (const job of resumed) {
       await this.retryWithBackoff(async () => {
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          `❌ Error: ${error.message}\n\nPlease try again.`
+        await this.bot.telegram.sendMessage(
+          job.chatId,
+          '♻️ The bot was restarted. Your download will resume automatically.'
         );
       }).catch(() => {});
-
-      if (tempDir) await FileManager.deleteDir(tempDir);
-      if (archivePath) await FileManager.deleteFile(archivePath).catch(() => {});
-
-      session.state = STATE.IDLE;
     }
+
+    jobQueue.start({
+      handler: (job, signal) => this.processJob(job, signal),
+      onPositionChange: (job, position) => this.notifyQueuePosition(job, position)
+    });
   }
 
   /**
@@ -624,6 +2169,12 @@ class TelegramBot {
   async initialize() {
     try {
       await strategyEngine.loadStrategies();
+      strategyEngine.watch();
+      proxyManager.validate();
+      await requestProfiles.load();
+      await userSettings.load();
+      await archiveCache.load();
+      await this.startQueue();
       Logger.info('Bot initialized successfully');
     } catch (error) {
       Logger.error('Failed to initialize bot', { error: error.message });
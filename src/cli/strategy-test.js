@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Strategy Test CLI
+ * Runs a site strategy against saved HTML fixtures, fully offline
+ * Prints matched / rewritten / filtered-out / kept URLs (and metadata fields) and fails when counts drop below the fixture's thresholds
+ *
+ * Usage: node src/cli/strategy-test.js <domain> <fixture.html...> [--type images|galleries] [--url <page url>] [--quiet]
+ *
+ * Thresholds live next to each fixture in a sidecar file (gallery.html -> gallery.json):
+ *   { "type": "images", "url": "https://example.com/gallery/1", "expect": { "urls": 20 } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Scraper debug output would drown the report
+process.env.NODE_ENV = process.env.NODE_ENV || 'production';
+
+const strategyEngine = require('../scrapers/strategyEngine');
+const JsdomScraper = require('../scrapers/jsdomScraper');
+const Pagination = require('../scrapers/pagination');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_BELOW_THRESHOLD = 1;
+const EXIT_USAGE = 2;
+
+// Counts reported per fixture type (each can carry a minimum in "expect")
+const COUNTS = {
+  images: ['matched', 'rewritten', 'filteredOut', 'urls'],
+  galleries: ['matched', 'urls']
+};
+
+const USAGE =
+  'Usage: node src/cli/strategy-test.js <domain> <fixture.html...> [options]\n\n' +
+  'Options:\n' +
+  '  --type images|galleries  Selector to run (default: sidecar "type", else images)\n' +
+  '  --url <page url>         URL the fixture was saved from (resolves relative links)\n' +
+  '  --quiet                  Print counts only\n';
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} { domain, fixtures, type, url, quiet }
+ */
+function parseArgs(argv) {
+  const args = { fixtures: [], quiet: false };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--type') {
+      args.type = argv[++i];
+    } else if (arg === '--url') {
+      args.url = argv[++i];
+    } else if (arg === '--quiet') {
+      args.quiet = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  [args.domain, ...args.fixtures] = positional;
+  if (args.type && !COUNTS[args.type]) {
+    throw new Error(`--type must be one of: ${Object.keys(COUNTS).join(', ')}`);
+  }
+  return args;
+}
+
+/**
+ * Load the sidecar of a fixture (gallery.html -> gallery.json)
+ * @param {string} fixturePath - Fixture HTML path
+ * @returns {Object} Sidecar contents ({} if there is none)
+ */
+function loadSidecar(fixturePath) {
+  const sidecarPath = path.join(
+    path.dirname(fixturePath),
+    `${path.basename(fixturePath, path.extname(fixturePath))}.json`
+  );
+  if (!fs.existsSync(sidecarPath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+}
+
+/**
+ * Print a list of URLs under a heading
+ * @param {string} title - Heading
+ * @param {Array} urls - URLs
+ */
+function printList(title, urls) {
+  console.log(`  ${title} (${urls.length}):`);
+  for (const url of urls) {
+    console.log(`    ${url}`);
+  }
+}
+
+/**
+ * Run the strategy on one fixture and check its thresholds
+ * @param {string} domain - Strategy domain
+ * @param {Object} strategy - Strategy configuration
+ * @param {string} fixturePath - Fixture HTML path
+ * @param {Object} args - Parsed command line arguments
+ * @returns {boolean} True if every threshold was met
+ */
+function testFixture(domain, strategy, fixturePath, args) {
+  const sidecar = loadSidecar(fixturePath);
+  const type = args.type || sidecar.type || 'images';
+  const pageUrl = args.url || sidecar.url || `https://${domain}/`;
+  // Without thresholds, at least one URL is expected
+  const expect = sidecar.expect || { urls: 1 };
+
+  if (!COUNTS[type]) {
+    throw new Error(`${fixturePath}: unknown type "${type}"`);
+  }
+  if (!strategy[type]) {
+    throw new Error(`Strategy for ${domain} has no "${type}" section`);
+  }
+  for (const key of Object.keys(expect)) {
+    if (!COUNTS[type].includes(key)) {
+      throw new Error(`${fixturePath}: unknown threshold "${key}" (expected one of: ${COUNTS[type].join(', ')})`);
+    }
+  }
+
+  const html = fs.readFileSync(fixturePath, 'utf8');
+  const result = type === 'images'
+    ? JsdomScraper.parseImages(html, strategy)
+    : JsdomScraper.parseGalleryLinks(html, strategy, pageUrl);
+
+  console.log(`\n${fixturePath} [${type}] selector: ${strategy[type].selector}`);
+  if (!args.quiet) {
+    printList('Matched URLs', result.matched);
+    if (result.rewritten) {
+      printList('Rewritten', result.rewritten.map(({ from, to }) => `${from} -> ${to}`));
+    }
+    if (result.filteredOut) {
+      printList('Filtered out', result.filteredOut);
+    }
+    printList('Kept URLs', result.urls);
+    if (result.metadata) {
+      const { title, model, date, tags } = result.metadata;
+      printList('Metadata', [`title: ${title}`, `model: ${model}`, `date: ${date}`, `tags: ${tags.join(', ')}`]);
+    }
+  }
+
+  // Fixtures are single pages, so only show where pagination would go next
+  const pagination = strategy[type].pagination;
+  if (pagination) {
+    const nextUrl = Pagination.getNextUrl(pagination, {
+      firstUrl: pageUrl,
+      currentUrl: pageUrl,
+      nextPage: 2,
+      nextLink: result.nextLink
+    });
+    console.log(`  Next page: ${nextUrl || 'none found'}`);
+  }
+
+  let passed = true;
+  for (const key of COUNTS[type]) {
+    const count = result[key].length;
+    const minimum = expect[key];
+    const failed = minimum !== undefined && count < minimum;
+    if (failed) passed = false;
+
+    console.log(
+      `  ${key}: ${count}` +
+      (minimum !== undefined ? ` (expected >= ${minimum}) ${failed ? 'FAIL' : 'ok'}` : '')
+    );
+  }
+
+  return passed;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  if (args.help || !args.domain || args.fixtures.length === 0) {
+    console.error(USAGE);
+    return args.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  try {
+    await strategyEngine.loadStrategies();
+    const strategy = strategyEngine.getStrategy(`https://${args.domain}/`);
+    if (!strategy) {
+      console.error(`No strategy for ${args.domain}. Known domains: ${strategyEngine.getSupportedDomains().join(', ')}`);
+      return EXIT_USAGE;
+    }
+
+    let failures = 0;
+    for (const fixturePath of args.fixtures) {
+      if (!testFixture(args.domain, strategy, fixturePath, args)) {
+        failures++;
+      }
+    }
+
+    console.log(`\n${args.fixtures.length - failures}/${args.fixtures.length} fixtures passed`);
+    return failures > 0 ? EXIT_BELOW_THRESHOLD : EXIT_OK;
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_USAGE;
+  }
+}
+
+main().then((code) => {
+  process.exitCode = code;
+});
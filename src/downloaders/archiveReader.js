@@ -0,0 +1,232 @@
+/**
+ * Archive Reader
+ * Unpacks zip / tar.gz archives published by the bot (including split volumes) back into a work dir
+ * Used when a streamed job is retried: the images it already has come out of its archive instead of
+ * being downloaded again (see restore)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+const Logger = require('../utils/logger');
+const ImageDownloader = require('./imageDownloader');
+const GalleryManifest = require('./galleryManifest');
+
+// Volume suffix of split archives (name.zip.001, name.zip.002, ...)
+const VOLUME_SUFFIX = /\.\d{3}$/;
+
+/**
+ * Read the volumes of a split archive as one file
+ * @param {Array} volumes - Array of { path, offset, size } in volume order
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last one
+ * @returns {Readable}
+ */
+function readVolumes(volumes, start = 0, end = Infinity) {
+  return Readable.from((async function* () {
+    for (const volume of volumes) {
+      if (volume.offset + volume.size <= start || volume.offset >= end) continue;
+      yield* fs.createReadStream(volume.path, {
+        start: Math.max(0, start - volume.offset),
+        end: Math.min(volume.size, end - volume.offset) - 1
+      });
+    }
+  })(), { objectMode: false });
+}
+
+/**
+ * yauzl reader over split volumes
+ */
+class VolumeReader extends yauzl.RandomAccessReader {
+  /**
+   * @param {Array} volumes - Array of { path, offset, size } in volume order
+   */
+  constructor(volumes) {
+    super();
+    this.volumes = volumes;
+  }
+
+  _readStreamForRange(start, end) {
+    return readVolumes(this.volumes, start, end);
+  }
+}
+
+class ArchiveReader {
+  /**
+   * Get the format of a published archive from its file name
+   * @param {string} filePath - Archive or first volume path
+   * @returns {string|null} zip or tar.gz, null for other formats (e.g. 7z)
+   */
+  static getFormat(filePath) {
+    const name = path.basename(filePath).replace(VOLUME_SUFFIX, '');
+    if (name.endsWith('.zip')) return 'zip';
+    if (name.endsWith('.tar.gz')) return 'tar.gz';
+    return null;
+  }
+
+  /**
+   * Resolve an entry name inside the destination directory
+   * @param {string} destDir - Destination directory
+   * @param {string} name - Entry name
+   * @returns {string} Absolute path
+   */
+  static resolveEntry(destDir, name) {
+    const target = path.resolve(destDir, name);
+    if (!target.startsWith(`${path.resolve(destDir)}${path.sep}`)) {
+      throw new Error(`Archive entry outside the target directory: ${name}`);
+    }
+    return target;
+  }
+
+  /**
+   * Write one entry to disk
+   * @param {Readable} stream - Entry contents
+   * @param {string} destDir - Destination directory
+   * @param {string} name - Entry name
+   * @param {AbortSignal} signal - Stops writing
+   */
+  static async writeEntry(stream, destDir, name, signal) {
+    const target = this.resolveEntry(destDir, name);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await pipeline(stream, fs.createWriteStream(target), { signal });
+  }
+
+  /**
+   * Unpack a zip archive
+   * @param {Array} volumes - Volumes ({ path, offset, size })
+   * @param {number} totalSize - Size of all volumes together
+   * @param {string} destDir - Destination directory
+   * @param {AbortSignal} signal - Stops unpacking
+   * @returns {Promise<number>} Files written
+   */
+  static extractZip(volumes, totalSize, destDir, signal) {
+    return new Promise((resolve, reject) => {
+      yauzl.fromRandomAccessReader(new VolumeReader(volumes), totalSize, { lazyEntries: true }, (error, zipFile) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        let count = 0;
+        const fail = (failure) => {
+          zipFile.close();
+          reject(failure);
+        };
+        zipFile.on('error', fail);
+        zipFile.on('end', () => resolve(count));
+        zipFile.on('entry', (entry) => {
+          if (entry.fileName.endsWith('/')) {
+            zipFile.readEntry();
+            return;
+          }
+          zipFile.openReadStream(entry, (streamError, stream) => {
+            if (streamError) {
+              fail(streamError);
+              return;
+            }
+            this.writeEntry(stream, destDir, entry.fileName, signal).then(() => {
+              count++;
+              zipFile.readEntry();
+            }, fail);
+          });
+        });
+        zipFile.readEntry();
+      });
+    });
+  }
+
+  /**
+   * Unpack a tar.gz archive
+   * @param {Array} volumes - Volumes ({ path, offset, size })
+   * @param {string} destDir - Destination directory
+   * @param {AbortSignal} signal - Stops unpacking
+   * @returns {Promise<number>} Files written
+   */
+  static async extractTarGz(volumes, destDir, signal) {
+    const extract = tar.extract();
+    let count = 0;
+
+    extract.on('entry', (header, stream, next) => {
+      if (header.type !== 'file') {
+        stream.resume();
+        stream.on('end', next);
+        return;
+      }
+      this.writeEntry(stream, destDir, header.name, signal).then(() => {
+        count++;
+        next();
+      }, next);
+    });
+
+    await pipeline(readVolumes(volumes), zlib.createGunzip(), extract, { signal });
+    return count;
+  }
+
+  /**
+   * Unpack a published archive
+   * @param {Array} archivePaths - Archive file, or its volumes in order
+   * @param {string} destDir - Destination directory
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Stops unpacking
+   * @returns {Promise<number>} Files written
+   */
+  static async extract(archivePaths, destDir, { signal } = {}) {
+    const format = this.getFormat(archivePaths[0]);
+    if (!format) {
+      throw new Error(`Cannot unpack ${path.basename(archivePaths[0])}: only zip and tar.gz archives are supported`);
+    }
+
+    const volumes = [];
+    let totalSize = 0;
+    for (const archivePath of archivePaths) {
+      const { size } = await fs.promises.stat(archivePath);
+      volumes.push({ path: archivePath, offset: totalSize, size });
+      totalSize += size;
+    }
+
+    return format === 'zip'
+      ? this.extractZip(volumes, totalSize, destDir, signal)
+      : this.extractTarGz(volumes, destDir, signal);
+  }
+
+  /**
+   * Put the images of a published archive back into a job's work dir and record them as downloaded,
+   * so the staged download only fetches what is missing (and then archives everything again)
+   * Images are matched by the URLs in the archive's manifest.json and their position in the gallery
+   * @param {Array} archivePaths - Archive file, or its volumes in order
+   * @param {DownloadManifest} manifest - Work dir manifest
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Stops unpacking
+   * @returns {Promise<number>} Images restored
+   */
+  static async restore(archivePaths, manifest, { signal } = {}) {
+    await this.extract(archivePaths, manifest.filesDir, { signal });
+
+    const manifestPath = path.join(manifest.filesDir, GalleryManifest.MANIFEST_FILE);
+    const contents = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+
+    let restored = 0;
+    for (const gallery of contents.galleries) {
+      for (const image of gallery.images) {
+        // Entries are named <nnn>_<name>.<ext> after the image's position in the gallery
+        const index = parseInt(image.file, 10);
+        if (!image.url || !index) continue;
+
+        const galleryDir = path.join(manifest.filesDir, gallery.folder);
+        const plannedPath = path.join(galleryDir, ImageDownloader.generateFilename(image.url, index));
+        await manifest.markCompleted(plannedPath, image.url, this.resolveEntry(galleryDir, image.file));
+        restored++;
+      }
+    }
+    await manifest.flush();
+
+    Logger.info(`Restored ${restored} images from ${path.basename(archivePaths[0])}`);
+    return restored;
+  }
+}
+
+module.exports = ArchiveReader;
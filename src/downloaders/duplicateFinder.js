@@ -0,0 +1,265 @@
+/**
+ * Duplicate Finder
+ * Finds the same photo in several galleries of a multi-gallery job, even at different sizes
+ * Uses a perceptual difference hash (dHash) computed in pure JS from JPEG and PNG files,
+ * keeps the highest-resolution copy and removes or reports the others
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const Logger = require('../utils/logger');
+const FileManager = require('../utils/fileManager');
+
+// Configuration
+const DEFAULT_THRESHOLD = parseInt(process.env.DEDUPE_THRESHOLD ?? '6') || 0;
+
+// dHash grid: each row compares 9 columns, giving 8 x 8 = 64 bits
+const HASH_COLUMNS = 9;
+const HASH_ROWS = 8;
+
+// Resized copies keep their aspect ratio; crops and different shots from the same set usually do not
+const MAX_ASPECT_DIFFERENCE = 0.05;
+
+// Decoding very large files takes a lot of memory; they are skipped (and kept)
+const MAX_DECODE_MEGAPIXELS = 60;
+
+// Name of the report written next to the galleries
+const REPORT_FILE = 'duplicates.txt';
+
+// Modes for the per-job dedupe option
+const DEDUPE_MODES = {
+  OFF: 'off',
+  REPORT: 'report',
+  DROP: 'drop'
+};
+
+class DuplicateFinder {
+  /**
+   * Decode a JPEG or PNG file to RGBA pixels
+   * @param {Buffer} buffer - File contents
+   * @returns {Object|null} { width, height, data } or null for other formats
+   */
+  static decode(buffer) {
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_DECODE_MEGAPIXELS });
+    }
+    if (buffer.subarray(1, 4).toString('latin1') === 'PNG') {
+      const image = PNG.sync.read(buffer);
+      if (image.width * image.height > MAX_DECODE_MEGAPIXELS * 1000 * 1000) {
+        throw new Error(`image is larger than ${MAX_DECODE_MEGAPIXELS} MP`);
+      }
+      return image;
+    }
+    return null;
+  }
+
+  /**
+   * Compute the difference hash of an image: average gray over a 9 x 8 grid,
+   * then one bit per cell telling whether it is brighter than its right neighbour
+   * @param {Object} image - { width, height, data } RGBA pixels
+   * @returns {bigint} 64-bit hash
+   */
+  static dHash({ width, height, data }) {
+    const sums = new Float64Array(HASH_COLUMNS * HASH_ROWS);
+    const counts = new Uint32Array(HASH_COLUMNS * HASH_ROWS);
+    const columnOf = Uint8Array.from({ length: width }, (v, x) => Math.floor(x * HASH_COLUMNS / width));
+
+    for (let y = 0; y < height; y++) {
+      const rowOffset = Math.floor(y * HASH_ROWS / height) * HASH_COLUMNS;
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const cell = rowOffset + columnOf[x];
+        sums[cell] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        counts[cell]++;
+      }
+    }
+
+    let hash = 0n;
+    for (let row = 0; row < HASH_ROWS; row++) {
+      for (let column = 0; column < HASH_COLUMNS - 1; column++) {
+        const cell = row * HASH_COLUMNS + column;
+        const brighter = sums[cell] / counts[cell] > sums[cell + 1] / counts[cell + 1];
+        hash = (hash << 1n) | (brighter ? 1n : 0n);
+      }
+    }
+    return hash;
+  }
+
+  /**
+   * Count the differing bits of two hashes
+   * @param {bigint} a - Hash
+   * @param {bigint} b - Hash
+   * @returns {number} Hamming distance (0-64)
+   */
+  static distance(a, b) {
+    let bits = a ^ b;
+    let count = 0;
+    while (bits) {
+      bits &= bits - 1n;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Hash an image file
+   * @param {string} filePath - Image path
+   * @returns {Promise<Object|null>} { hash, width, height, size } or null if the file cannot be hashed
+   */
+  static async hashFile(filePath) {
+    try {
+      const buffer = await fs.readFile(filePath);
+      const image = this.decode(buffer);
+      if (!image) return null;
+
+      return { hash: this.dHash(image), width: image.width, height: image.height, size: buffer.length };
+    } catch (error) {
+      Logger.warn(`Cannot hash image, keeping it: ${path.basename(filePath)}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Find near-duplicate images across galleries
+   * Only images from different galleries are compared; similar shots inside one gallery are left alone
+   * Each group is the kept copy plus at most one match per other gallery, all within threshold of the kept copy
+   * @param {Array} galleries - Array of {name, files} objects
+   * @param {Object} options - Options
+   * @param {number} options.threshold - Max differing hash bits for two images to match
+   * @param {AbortSignal} options.signal - Stops hashing
+   * @param {Function} options.onProgress - Called with { current, total } while hashing
+   * @returns {Promise<Array>} Groups of { keep, duplicates } - items are { file, gallery, width, height, size, distance }
+   */
+  static async findDuplicates(galleries, { threshold = DEFAULT_THRESHOLD, signal, onProgress } = {}) {
+    const files = galleries.flatMap(gallery => gallery.files.map(file => ({ file, gallery: gallery.name })));
+    const images = [];
+
+    for (let i = 0; i < files.length; i++) {
+      signal?.throwIfAborted();
+      const info = await this.hashFile(files[i].file);
+      if (info) {
+        images.push({ ...files[i], ...info });
+      }
+      onProgress?.({ current: i + 1, total: files.length });
+
+      // Decoding is synchronous, let other jobs and Telegram updates run in between
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const matches = (first, second) => {
+      const aspectA = first.width / first.height;
+      const aspectB = second.width / second.height;
+      if (Math.abs(aspectA - aspectB) / Math.max(aspectA, aspectB) > MAX_ASPECT_DIFFERENCE) return false;
+      return this.distance(first.hash, second.hash) <= threshold;
+    };
+
+    // Highest resolution first, then the larger (less compressed) file: each group is built around the
+    // copy it keeps, so every member is compared with that copy (no A ~ B ~ C chains of different shots)
+    // and a group holds at most one image per gallery
+    images.sort((a, b) => (b.width * b.height - a.width * a.height) || (b.size - a.size));
+    const grouped = new Set();
+    const groups = [];
+
+    for (const keep of images) {
+      if (grouped.has(keep)) continue;
+
+      // The closest match of each other gallery
+      const candidates = images
+        .filter(image => image.gallery !== keep.gallery && !grouped.has(image) && matches(keep, image))
+        .sort((a, b) => this.distance(keep.hash, a.hash) - this.distance(keep.hash, b.hash));
+      const galleryNames = new Set();
+      const duplicates = candidates.filter((image) => {
+        if (galleryNames.has(image.gallery)) return false;
+        galleryNames.add(image.gallery);
+        return true;
+      });
+      if (duplicates.length === 0) continue;
+
+      grouped.add(keep);
+      duplicates.forEach(image => grouped.add(image));
+
+      const describe = image => ({
+        file: image.file,
+        gallery: image.gallery,
+        width: image.width,
+        height: image.height,
+        size: image.size,
+        distance: this.distance(keep.hash, image.hash)
+      });
+      groups.push({ keep: describe(keep), duplicates: duplicates.map(describe) });
+    }
+
+    Logger.info(
+      `Duplicate check: ${images.length}/${files.length} images hashed, ` +
+      `${groups.reduce((sum, group) => sum + group.duplicates.length, 0)} duplicates in ${groups.length} groups`
+    );
+    return groups;
+  }
+
+  /**
+   * Write a plain-text report of duplicate groups
+   * @param {Array} groups - Groups from findDuplicates
+   * @param {string} reportPath - Report file path
+   * @param {string} baseDir - Paths are shown relative to this directory
+   * @param {boolean} removed - Whether the duplicates were deleted
+   */
+  static async writeReport(groups, reportPath, baseDir, removed) {
+    const describe = image =>
+      `${path.relative(baseDir, image.file)} (${image.width}x${image.height}, ${FileManager.formatBytes(image.size)})`;
+
+    const lines = [
+      `Near-duplicate images across galleries: ${groups.length} groups`,
+      removed ? 'Only the highest-resolution copy of each was kept.' : 'All copies were kept.',
+      ''
+    ];
+    groups.forEach((group, index) => {
+      lines.push(`#${index + 1} kept: ${describe(group.keep)}`);
+      for (const duplicate of group.duplicates) {
+        lines.push(`   ${removed ? 'removed' : 'same as'}: ${describe(duplicate)}, distance ${duplicate.distance}`);
+      }
+      lines.push('');
+    });
+
+    await fs.writeFile(reportPath, lines.join('\n'));
+  }
+
+  /**
+   * Run the duplicate check on a finished multi-gallery download
+   * @param {Object} results - Results of ImageDownloader.downloadMultipleGalleries (galleries[].files is updated)
+   * @param {string} baseDir - Download directory; the report is written here
+   * @param {Object} options - Options
+   * @param {string} options.mode - DEDUPE_MODES.REPORT or DEDUPE_MODES.DROP
+   * @param {AbortSignal} options.signal - Stops the check
+   * @param {Function} options.onProgress - Hashing progress callback
+   * @returns {Promise<Object>} { duplicates, removed, reportPath } - reportPath is null when nothing was found
+   */
+  static async dedupe(results, baseDir, { mode = DEDUPE_MODES.REPORT, signal, onProgress } = {}) {
+    const groups = await this.findDuplicates(results.galleries, { signal, onProgress });
+    const duplicates = groups.flatMap(group => group.duplicates);
+    if (duplicates.length === 0) {
+      return { duplicates: 0, removed: 0, reportPath: null };
+    }
+
+    const remove = mode === DEDUPE_MODES.DROP;
+    if (remove) {
+      const dropped = new Set(duplicates.map(duplicate => duplicate.file));
+      for (const file of dropped) {
+        await FileManager.deleteFile(file);
+      }
+      for (const gallery of results.galleries) {
+        gallery.files = gallery.files.filter(file => !dropped.has(file));
+      }
+    }
+
+    const reportPath = path.join(baseDir, REPORT_FILE);
+    await this.writeReport(groups, reportPath, baseDir, remove);
+
+    return { duplicates: duplicates.length, removed: remove ? duplicates.length : 0, reportPath };
+  }
+}
+
+DuplicateFinder.MODES = DEDUPE_MODES;
+
+module.exports = DuplicateFinder;
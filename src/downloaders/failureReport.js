@@ -0,0 +1,150 @@
+/**
+ * Failure Report
+ * Lists the images of a job that could not be downloaded, and why
+ * Built from the per-URL outcomes of ImageDownloader and StreamingArchiver;
+ * written into archives as failures.txt and shown by the bot's "Show failures" button
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const FileManager = require('../utils/fileManager');
+
+// Name of the report inside archives
+const REPORT_FILE = 'failures.txt';
+
+// Error classes of a failed outcome
+const ERROR_TYPES = {
+  HTTP: 'http',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  REJECTED: 'rejected',
+  ERROR: 'error'
+};
+
+class FailureReport {
+  /**
+   * Classify a download error
+   * @param {Error} error - axios or stream error
+   * @returns {string} One of ERROR_TYPES
+   */
+  static classify(error) {
+    if (error.response) return ERROR_TYPES.HTTP;
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+      return ERROR_TYPES.TIMEOUT;
+    }
+    if (error.code || error.message === 'aborted') return ERROR_TYPES.NETWORK;
+    return ERROR_TYPES.ERROR;
+  }
+
+  /**
+   * Build the outcome of a failed download
+   * @param {Error} error - Last error
+   * @param {number} attempts - Requests made
+   * @param {number} bytes - Bytes received
+   * @returns {Object} Outcome { file, status, errorType, error, attempts, bytes }
+   */
+  static fromError(error, attempts, bytes = 0) {
+    return {
+      file: null,
+      status: error.response?.status || null,
+      errorType: this.classify(error),
+      error: error.message,
+      attempts,
+      bytes
+    };
+  }
+
+  /**
+   * Build the outcome of a body that ImageValidator rejected
+   * @param {string} reason - Validation reason
+   * @param {number} status - HTTP status of the response
+   * @param {number} attempts - Requests made
+   * @param {number} bytes - Bytes received
+   * @returns {Object} Outcome
+   */
+  static rejected(reason, status, attempts, bytes) {
+    return {
+      file: null,
+      status,
+      errorType: ERROR_TYPES.REJECTED,
+      error: `rejected, ${reason}`,
+      attempts,
+      bytes
+    };
+  }
+
+  /**
+   * Collect the failed outcomes of a job's galleries
+   * @param {Array} galleries - Array of {name, outcomes} objects
+   * @returns {Array} Failures ({ gallery, url, status, errorType, error, attempts, bytes })
+   */
+  static collect(galleries) {
+    return galleries.flatMap(gallery => (gallery.outcomes || [])
+      .filter(outcome => !outcome.file)
+      .map(({ url, status, errorType, error, attempts, bytes }) => ({
+        gallery: gallery.name, url, status, errorType, error, attempts, bytes
+      })));
+  }
+
+  /**
+   * Describe why one image failed
+   * @param {Object} failure - Failure record
+   * @returns {string} e.g. "HTTP 404, 3 attempts"
+   */
+  static describe(failure) {
+    let reason;
+    if (failure.errorType === ERROR_TYPES.HTTP) {
+      reason = `HTTP ${failure.status}`;
+    } else if (failure.errorType === ERROR_TYPES.REJECTED) {
+      reason = failure.error;
+    } else {
+      reason = `${failure.errorType}: ${failure.error}`;
+    }
+
+    const attempts = `${failure.attempts} attempt${failure.attempts === 1 ? '' : 's'}`;
+    const bytes = failure.bytes > 0 ? `, ${FileManager.formatBytes(failure.bytes)} received` : '';
+    return `${reason}, ${attempts}${bytes}`;
+  }
+
+  /**
+   * Format failures as plain text, grouped by gallery
+   * @param {Array} failures - Failure records
+   * @param {number} totalImages - Images in the job
+   * @returns {string}
+   */
+  static format(failures, totalImages) {
+    const lines = [`Images that could not be downloaded: ${failures.length} of ${totalImages}`];
+
+    let gallery = null;
+    for (const failure of failures) {
+      if (failure.gallery !== gallery) {
+        gallery = failure.gallery;
+        lines.push('', `${gallery}/`);
+      }
+      lines.push(`  ${failure.url}`, `    ${this.describe(failure)}`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Write failures.txt into a directory that is about to be archived
+   * An old report from an earlier run is removed when there are no failures
+   * @param {string} dir - Archive root directory
+   * @param {Array} failures - Failure records
+   * @param {number} totalImages - Images in the job
+   */
+  static async write(dir, failures, totalImages) {
+    const reportPath = path.join(dir, REPORT_FILE);
+    if (failures.length === 0) {
+      await FileManager.deleteFile(reportPath);
+      return;
+    }
+    await fs.writeFile(reportPath, this.format(failures, totalImages));
+  }
+}
+
+FailureReport.FILE_NAME = REPORT_FILE;
+FailureReport.ERROR_TYPES = ERROR_TYPES;
+
+module.exports = FailureReport;
@@ -0,0 +1,207 @@
+/**
+ * Gallery Manifest
+ * Describes what an archive contains: the source URL, each gallery's metadata (see the strategy
+ * "metadata" block) and every image with its original URL, size, dimensions and SHA-256
+ * Written next to the gallery folders as manifest.json and a browsable index.html contact sheet
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const FileManager = require('../utils/fileManager');
+const ImageValidator = require('./imageValidator');
+
+// Names inside archives
+const MANIFEST_FILE = 'manifest.json';
+const INDEX_FILE = 'index.html';
+
+// Contact sheet thumbnails are the images themselves, scaled by the browser
+const INDEX_STYLE = `
+body { font-family: system-ui, sans-serif; margin: 24px; background: #111; color: #ddd; }
+a { color: #8cf; }
+h2 { margin-top: 32px; }
+.meta { color: #999; }
+.tag { display: inline-block; margin: 0 4px 4px 0; padding: 2px 8px; border-radius: 10px; background: #333; font-size: 13px; }
+.sheet { display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 8px; }
+figure { margin: 0; }
+figure img { width: 100%; height: 200px; object-fit: cover; background: #222; }
+figcaption { font-size: 12px; color: #999; overflow-wrap: anywhere; }
+`;
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+class GalleryManifest {
+  /**
+   * Describe an image from its contents
+   * @param {Buffer} buffer - File contents
+   * @returns {Object} { size, width, height, sha256 } - width and height are null for unreadable headers
+   */
+  static describe(buffer) {
+    const dimensions = ImageValidator.readDimensions(buffer);
+    return {
+      size: buffer.length,
+      width: dimensions?.width ?? null,
+      height: dimensions?.height ?? null,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+  }
+
+  /**
+   * Build the manifest of an archive
+   * @param {string} sourceUrl - URL the job was started from
+   * @param {Array} galleries - Array of { name, url, metadata, images } objects - images are
+   *   { file, url, size, width, height, sha256 } with file relative to the gallery folder
+   * @returns {Object} Manifest
+   */
+  static build(sourceUrl, galleries) {
+    return {
+      source: sourceUrl,
+      createdAt: new Date().toISOString(),
+      galleries: galleries.map(gallery => ({
+        folder: gallery.name,
+        url: gallery.url,
+        title: gallery.metadata?.title || null,
+        model: gallery.metadata?.model || null,
+        date: gallery.metadata?.date || null,
+        tags: gallery.metadata?.tags || [],
+        images: gallery.images
+      }))
+    };
+  }
+
+  /**
+   * Build the manifest of staged galleries, reading the images back from disk
+   * Images removed after the download (e.g. duplicates) are left out
+   * @param {string} sourceUrl - URL the job was started from
+   * @param {Array} galleries - Array of { name, url, metadata } objects
+   * @param {Array} results - downloadImages results ({ files, outcomes }), in the order of galleries
+   * @returns {Promise<Object>} Manifest
+   */
+  static async fromStaged(sourceUrl, galleries, results) {
+    const described = [];
+    for (let i = 0; i < galleries.length; i++) {
+      const files = new Set(results[i].files);
+      const images = [];
+      for (const outcome of results[i].outcomes) {
+        if (!outcome?.file || !files.has(outcome.file)) continue;
+        const info = this.describe(await fs.readFile(outcome.file));
+        images.push({ file: path.basename(outcome.file), url: outcome.url, ...info });
+      }
+      described.push({ ...galleries[i], images });
+    }
+    return this.build(sourceUrl, described);
+  }
+
+  /**
+   * Build the manifest of streamed galleries from their outcomes
+   * @param {string} sourceUrl - URL the job was started from
+   * @param {Array} galleries - Array of { name, url, metadata } objects
+   * @param {Array} results - StreamingArchiver gallery results ({ outcomes }), in the order of galleries
+   * @returns {Object} Manifest
+   */
+  static fromStreamed(sourceUrl, galleries, results) {
+    return this.build(sourceUrl, galleries.map((gallery, i) => ({
+      ...gallery,
+      images: results[i].outcomes
+        .filter(outcome => outcome.file)
+        .map(outcome => ({
+          file: path.basename(outcome.file),
+          url: outcome.url,
+          size: outcome.bytes,
+          width: outcome.width,
+          height: outcome.height,
+          sha256: outcome.sha256
+        }))
+    })));
+  }
+
+  /**
+   * Render the contact sheet
+   * @param {Object} manifest - Manifest
+   * @returns {string} HTML page; images are linked relative to the archive root
+   */
+  static renderIndex(manifest) {
+    const heading = manifest.galleries.length === 1
+      ? manifest.galleries[0].title || manifest.galleries[0].folder
+      : `${manifest.galleries.length} galleries`;
+
+    const sections = manifest.galleries.map((gallery) => {
+      const details = [gallery.model, gallery.date, `${gallery.images.length} images`].filter(Boolean);
+      const figures = gallery.images.map((image) => {
+        const href = [gallery.folder, image.file].map(encodeURIComponent).join('/');
+        const size = [
+          image.width && image.height ? `${image.width}×${image.height}` : null,
+          FileManager.formatBytes(image.size)
+        ].filter(Boolean).join(' · ');
+        return `<figure><a href="${escapeHtml(href)}"><img src="${escapeHtml(href)}" loading="lazy" alt=""></a>` +
+          `<figcaption>${escapeHtml(image.file)}<br>${escapeHtml(size)}</figcaption></figure>`;
+      });
+
+      return [
+        '<section>',
+        `<h2>${escapeHtml(gallery.title || gallery.folder)}</h2>`,
+        `<p class="meta">${details.map(escapeHtml).join(' · ')}` +
+          (gallery.url ? ` · <a href="${escapeHtml(gallery.url)}">source</a>` : '') + '</p>',
+        gallery.tags.length > 0 ? `<p>${gallery.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</p>` : '',
+        '<div class="sheet">',
+        ...figures,
+        '</div>',
+        '</section>'
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${escapeHtml(heading)}</title>`,
+      `<style>${INDEX_STYLE}</style>`,
+      '</head>',
+      '<body>',
+      `<h1>${escapeHtml(heading)}</h1>`,
+      `<p class="meta">From <a href="${escapeHtml(manifest.source)}">${escapeHtml(manifest.source)}</a>` +
+        ` · ${escapeHtml(manifest.createdAt)}</p>`,
+      ...sections,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Get the archive entries for a manifest
+   * @param {Object} manifest - Manifest
+   * @returns {Array} Array of { name, data } - data is a Buffer
+   */
+  static entries(manifest) {
+    return [
+      { name: MANIFEST_FILE, data: Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`) },
+      { name: INDEX_FILE, data: Buffer.from(this.renderIndex(manifest)) }
+    ];
+  }
+
+  /**
+   * Write manifest.json and index.html into a directory that is about to be archived
+   * @param {string} dir - Archive root directory
+   * @param {Object} manifest - Manifest
+   */
+  static async write(dir, manifest) {
+    for (const { name, data } of this.entries(manifest)) {
+      await fs.writeFile(path.join(dir, name), data);
+    }
+  }
+}
+
+GalleryManifest.MANIFEST_FILE = MANIFEST_FILE;
+GalleryManifest.INDEX_FILE = INDEX_FILE;
+
+module.exports = GalleryManifest;
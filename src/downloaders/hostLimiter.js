@@ -0,0 +1,208 @@
+/**
+ * Host Limiter
+ * Shared politeness limits for image requests, per host and across all jobs
+ * Caps concurrent connections and requests per second (per strategy "rateLimit" or env defaults),
+ * pauses a host on 429 / 503 for its Retry-After and slows down when its error rate climbs
+ */
+
+const Logger = require('../utils/logger');
+const strategyEngine = require('../scrapers/strategyEngine');
+
+// Configuration
+const DEFAULT_MAX_CONNECTIONS = parseInt(process.env.HOST_MAX_CONNECTIONS) || 4;
+const DEFAULT_REQUESTS_PER_SECOND = parseFloat(process.env.HOST_REQUESTS_PER_SECOND) || 5;
+
+// 429 / 503 without a usable Retry-After pause the host this long; longer headers are capped
+const DEFAULT_RETRY_AFTER_MS = 10 * 1000;
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// Adaptive slowdown: the request interval doubles (up to MAX_SLOWDOWN) when at least
+// SLOWDOWN_ERROR_RATE of the last requests failed, and halves after a window without errors
+const ERROR_WINDOW = 20;
+const MIN_RESULTS = 5;
+const SLOWDOWN_ERROR_RATE = 0.3;
+const MAX_SLOWDOWN = 8;
+
+class HostLimiter {
+  constructor() {
+    this.hosts = new Map();
+  }
+
+  /**
+   * Get the limits for a host: its strategy's rateLimit (also for subdomains) or the defaults
+   * @param {string} hostname - Request host
+   * @returns {Object} { maxConnections, requestsPerSecond }
+   */
+  getLimits(hostname) {
+    const rateLimit = strategyEngine.loaded ? strategyEngine.findStrategyForHost(hostname)?.rateLimit : null;
+    return {
+      maxConnections: rateLimit?.maxConnections || DEFAULT_MAX_CONNECTIONS,
+      requestsPerSecond: rateLimit?.requestsPerSecond || DEFAULT_REQUESTS_PER_SECOND
+    };
+  }
+
+  /**
+   * Get (or create) the state of a host
+   * @param {string} hostname - Request host
+   * @returns {Object} Host state
+   */
+  getHost(hostname) {
+    if (!this.hosts.has(hostname)) {
+      this.forgetIdleHosts();
+      this.hosts.set(hostname, {
+        active: 0,
+        waiters: [],
+        nextStartAt: 0,
+        pausedUntil: 0,
+        slowdown: 1,
+        results: [],
+        timer: null
+      });
+    }
+    return this.hosts.get(hostname);
+  }
+
+  /**
+   * Drop the state of hosts that are idle and back to normal
+   */
+  forgetIdleHosts() {
+    const now = Date.now();
+    for (const [hostname, host] of this.hosts) {
+      if (host.active === 0 && host.waiters.length === 0 && host.slowdown === 1 &&
+          host.pausedUntil <= now && host.nextStartAt <= now) {
+        this.hosts.delete(hostname);
+      }
+    }
+  }
+
+  /**
+   * Wait for a request slot on the URL's host
+   * Call release() on the returned slot when the response body is done (pass the error on failure)
+   * @param {string} url - Request URL
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Stops waiting
+   * @returns {Promise<Object>} { release(error) }
+   */
+  async acquire(url, { signal } = {}) {
+    signal?.throwIfAborted();
+    const hostname = new URL(url).hostname;
+    const host = this.getHost(hostname);
+
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        host.waiters = host.waiters.filter(item => item !== waiter);
+        reject(signal.reason);
+      };
+      const waiter = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      host.waiters.push(waiter);
+      this.pump(hostname);
+    });
+
+    let released = false;
+    return {
+      release: (error = null) => {
+        if (released) return;
+        released = true;
+        this.release(hostname, error);
+      }
+    };
+  }
+
+  /**
+   * Start as many waiting requests as the host's limits allow, or schedule the next start
+   * @param {string} hostname - Request host
+   */
+  pump(hostname) {
+    const host = this.getHost(hostname);
+    const { maxConnections, requestsPerSecond } = this.getLimits(hostname);
+
+    clearTimeout(host.timer);
+    host.timer = null;
+
+    while (host.waiters.length > 0 && host.active < maxConnections) {
+      const now = Date.now();
+      const startAt = Math.max(host.nextStartAt, host.pausedUntil);
+      if (startAt > now) {
+        host.timer = setTimeout(() => this.pump(hostname), startAt - now);
+        return;
+      }
+
+      host.active++;
+      host.nextStartAt = now + (1000 / requestsPerSecond) * host.slowdown;
+      host.waiters.shift()();
+    }
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date)
+   * @param {string} value - Header value
+   * @returns {number} Delay in milliseconds, capped
+   */
+  parseRetryAfter(value) {
+    let delay = NaN;
+    if (value !== undefined) {
+      delay = /^\d+$/.test(String(value).trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+    }
+    if (!(delay > 0)) delay = DEFAULT_RETRY_AFTER_MS;
+    return Math.min(delay, MAX_RETRY_AFTER_MS);
+  }
+
+  /**
+   * Free a slot and record the outcome for the host
+   * @param {string} hostname - Request host
+   * @param {Error} error - Request error (null on success)
+   */
+  release(hostname, error) {
+    const host = this.getHost(hostname);
+    host.active--;
+
+    // Cancelled requests say nothing about the host
+    if (error?.code !== 'ERR_CANCELED' && error?.name !== 'AbortError') {
+      const status = error?.response?.status;
+      const failed = Boolean(error) && (!status || status === 429 || status >= 500);
+
+      if (status === 429 || status === 503) {
+        const delay = this.parseRetryAfter(error.response.headers?.['retry-after']);
+        host.pausedUntil = Math.max(host.pausedUntil, Date.now() + delay);
+        Logger.warn(`${hostname} answered ${status}, pausing requests for ${Math.round(delay / 1000)}s`);
+      }
+
+      this.adapt(hostname, host, failed);
+    }
+
+    this.pump(hostname);
+  }
+
+  /**
+   * Slow a host down when its error rate climbs, and speed it back up after clean requests
+   * @param {string} hostname - Request host
+   * @param {Object} host - Host state
+   * @param {boolean} failed - Whether the request failed
+   */
+  adapt(hostname, host, failed) {
+    host.results.push(failed);
+    if (host.results.length > ERROR_WINDOW) {
+      host.results.shift();
+    }
+
+    const failures = host.results.filter(Boolean).length;
+    if (host.results.length >= MIN_RESULTS && failures / host.results.length >= SLOWDOWN_ERROR_RATE &&
+        host.slowdown < MAX_SLOWDOWN) {
+      host.slowdown *= 2;
+      host.results = [];
+      Logger.warn(`High error rate on ${hostname}, slowing requests down ${host.slowdown}x`);
+    } else if (host.results.length === ERROR_WINDOW && failures === 0 && host.slowdown > 1) {
+      host.slowdown /= 2;
+      host.results = [];
+      Logger.info(`${hostname} recovered, request rate slowdown now ${host.slowdown}x`);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new HostLimiter();
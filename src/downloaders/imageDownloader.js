@@ -4,42 +4,167 @@
  * Supports parallel downloads with concurrency control
  */
 
-const axios = require('axios');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
 const path = require('path');
 const Logger = require('../utils/logger');
+const FileManager = require('../utils/fileManager');
+const requestProfiles = require('../utils/requestProfiles');
+const proxyManager = require('../utils/proxyManager');
+const hostLimiter = require('./hostLimiter');
+const ImageValidator = require('./imageValidator');
+const FailureReport = require('./failureReport');
+
+// Suffix of files still being downloaded
+const PART_EXTENSION = '.part';
 
 class ImageDownloader {
+  /**
+   * Build the axios request config for an image
+   * @param {string} url - Image URL
+   * @param {string} responseType - axios response type (arraybuffer or stream)
+   * @param {AbortSignal} signal - Aborts the request
+   * @returns {Object} axios config
+   */
+  static buildRequest(url, responseType, signal) {
+    return {
+      method: 'GET',
+      url: url,
+      responseType,
+      // Site profile adds its User-Agent, headers (e.g. Referer) and cookies
+      headers: requestProfiles.getHeaders(url, {
+        'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
+        'Referer': new URL(url).origin
+      }),
+      timeout: 30000,
+      maxRedirects: 5,
+      signal
+    };
+  }
+
+  /**
+   * Write a response body to a .part file
+   * A 206 answer to a Range request is appended to the bytes already there; anything else starts over
+   * @param {Object} response - axios response (stream)
+   * @param {string} partPath - Partial file path
+   * @param {number} offset - Bytes already in the partial file
+   * @returns {Promise<void>} Rejects if the body ended early (the bytes so far are kept for a resume)
+   */
+  static async writePart(response, partPath, offset) {
+    let append = false;
+    let total = Number(response.headers['content-length']) || null;
+
+    if (response.status === 206) {
+      const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers['content-range'] || '');
+      if (!match || Number(match[1]) !== offset) {
+        response.data.destroy();
+        await FileManager.deleteFile(partPath);
+        throw new Error(`Unexpected Content-Range: ${response.headers['content-range']}`);
+      }
+      append = true;
+      total = match[2] === '*' ? null : Number(match[2]);
+    }
+
+    await pipeline(response.data, createWriteStream(partPath, { flags: append ? 'a' : 'w' }));
+
+    const { size } = await fs.stat(partPath);
+    if (total !== null && size < total) {
+      throw new Error(`Body ended early (${size}/${total} bytes)`);
+    }
+  }
+
   /**
    * Download a single image
+   * The body goes to <outputPath>.part first; a retry (or a later run) resumes it with a Range request
+   * when the server supports ranges, and the file is renamed once it is complete and validated
+   * A resume is only sent with the ETag / Last-Modified of the response the .part file came from (If-Range);
+   * a .part file without one is downloaded again from the start
    * @param {string} url - Image URL
-   * @param {string} outputPath - Output file path
+   * @param {string} outputPath - Output file path (its extension is corrected to the real format)
    * @param {number} retries - Number of retries
-   * @returns {boolean} Success status
+   * @param {Object} options - Download options
+   * @param {AbortSignal} options.signal - Aborts the request and skips remaining retries
+   * @param {string} options.fallbackUrl - Original URL to download if this (rewritten) one returns 404
+   * @param {DownloadManifest} options.manifest - Keeps the validator of the .part file across runs
+   * @returns {Promise<Object>} Outcome { file, status, errorType, error, attempts, bytes } - file is the path
+   *   of the saved image, or null if it failed or is not a valid image (see FailureReport)
    */
-  static async downloadImage(url, outputPath, retries = 3) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
+  static async downloadImage(url, outputPath, retries = 3, { signal, fallbackUrl, manifest = null } = {}) {
+    const partPath = `${outputPath}${PART_EXTENSION}`;
+    const partSize = () => fs.stat(partPath).then(stats => stats.size, () => 0);
+    // ETag / Last-Modified of the response the .part file holds; a resume only continues that version of the file
+    let validator = manifest?.getValidator(outputPath, url) || null;
+    let lastError = null;
+    let attempt = 1;
+
+    for (; attempt <= retries; attempt++) {
+      if (signal?.aborted) break;
+
+      let slot;
       try {
-        Logger.debug(`Downloading image (attempt ${attempt}/${retries}): ${url}`);
-
-        const response = await axios({
-          method: 'GET',
-          url: url,
-          responseType: 'arraybuffer',
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-            'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
-            'Referer': new URL(url).origin
-          },
-          timeout: 30000,
-          maxRedirects: 5
-        });
-
-        // Write file
-        await fs.writeFile(outputPath, response.data);
-        Logger.debug(`Image downloaded successfully: ${path.basename(outputPath)}`);
-        return true;
+        // Waits for the host's connection and rate limits (shared by all jobs)
+        slot = await hostLimiter.acquire(url, { signal });
+
+        const request = this.buildRequest(url, 'stream', signal);
+        // Byte offsets only line up on the unencoded body
+        request.headers['Accept-Encoding'] = 'identity';
+        let offset = await partSize();
+        if (offset > 0 && !validator) {
+          // Nothing to tell whether the server still has the same file
+          await FileManager.deleteFile(partPath);
+          offset = 0;
+        }
+        if (offset > 0) {
+          request.headers.Range = `bytes=${offset}-`;
+          request.headers['If-Range'] = validator;
+        }
+        Logger.debug(
+          `Downloading image (attempt ${attempt}/${retries}${offset > 0 ? `, resuming at ${offset} bytes` : ''}): ${url}`
+        );
+
+        const response = await proxyManager.request(request);
+        if (response.status !== 206) {
+          // A full body replaces the .part file; weak ETags cannot be used in If-Range
+          const etag = response.headers.etag;
+          validator = (etag && !etag.startsWith('W/') ? etag : response.headers['last-modified']) || null;
+          manifest?.setValidator(outputPath, url, validator);
+        }
+        await this.writePart(response, partPath, offset);
+        slot.release();
+
+        // Error pages and placeholders come back with 200 too; retrying would fetch them again
+        const data = await fs.readFile(partPath);
+        const check = ImageValidator.validate(data, response.headers['content-type']);
+        if (!check.valid) {
+          Logger.warn(`Rejected download, ${check.reason}: ${url}`);
+          await FileManager.deleteFile(partPath);
+          return FailureReport.rejected(check.reason, response.status, attempt, data.length);
+        }
+
+        // Complete: give the file its final name
+        const imagePath = ImageValidator.fixExtension(outputPath, check.format);
+        await fs.rename(partPath, imagePath);
+        Logger.debug(`Image downloaded successfully: ${path.basename(imagePath)}`);
+        return { file: imagePath, status: response.status, errorType: null, error: null, attempts: attempt, bytes: data.length };
       } catch (error) {
+        slot?.release(error);
+        lastError = error;
+        if (signal?.aborted) break;
+
+        // The partial file does not match the server's copy (already complete, or changed): start over
+        if (error.response?.status === 416) {
+          await FileManager.deleteFile(partPath);
+        }
+
+        // A rewritten URL that does not exist will not appear on retry
+        if (fallbackUrl && error.response?.status === 404) {
+          Logger.warn(`Rewritten URL not found, falling back to original: ${fallbackUrl}`);
+          await FileManager.deleteFile(partPath);
+          const outcome = await this.downloadImage(fallbackUrl, outputPath, retries, { signal, manifest });
+          return { ...outcome, attempts: outcome.attempts + attempt };
+        }
+
         Logger.warn(
           `Download attempt ${attempt} failed for: ${url}`,
           { error: error.message }
@@ -47,7 +172,7 @@ class ImageDownloader {
 
         if (attempt === retries) {
           Logger.error(`Failed to download image after ${retries} attempts: ${url}`);
-          return false;
+          break;
         }
 
         // Wait before retry (exponential backoff)
@@ -55,11 +180,13 @@ class ImageDownloader {
       }
     }
 
-    return false;
+    // Bytes of a partial body stay on disk for a later resume
+    return FailureReport.fromError(lastError || new Error('aborted'), Math.min(attempt, retries), await partSize());
   }
 
   /**
    * Generate filename from URL
+   * The extension is a guess until the download is checked (ImageValidator.fixExtension)
    * @param {string} url - Image URL
    * @param {number} index - Image index
    * @returns {string} Filename
@@ -84,34 +211,48 @@ class ImageDownloader {
    * Download multiple images with concurrency control
    * @param {Array} urls - Array of image URLs
    * @param {string} outputDir - Output directory
-   * @param {number} concurrency - Max parallel downloads
+   * @param {number} concurrency - Max parallel downloads for this job (hosts are also limited by hostLimiter)
    * @param {Function} progressCallback - Progress callback function
-   * @returns {Object} Download results
+   * @param {Object} options - Download options
+   * @param {AbortSignal} options.signal - Stops pending downloads when aborted
+   * @param {Object} options.fallbacks - Map of rewritten URL -> original URL (tried on 404)
+   * @param {DownloadManifest} options.manifest - Skips images a previous run finished and records new ones
+   * @returns {Object} Download results { total, success, failed, files, outcomes }
    */
-  static async downloadImages(urls, outputDir, concurrency = 5, progressCallback = null) {
+  static async downloadImages(urls, outputDir, concurrency = 5, progressCallback = null, { signal, fallbacks = {}, manifest = null } = {}) {
     Logger.info(`Starting download of ${urls.length} images`);
 
     const results = {
       total: urls.length,
       success: 0,
       failed: 0,
-      files: []
+      files: [],
+      // Per-URL outcome, in the order of urls
+      outcomes: []
     };
 
-    // Download in batches
-    for (let i = 0; i < urls.length; i += concurrency) {
-      const batch = urls.slice(i, i + concurrency);
-      
-      const promises = batch.map(async (url, batchIndex) => {
-        const index = i + batchIndex + 1;
+    // Workers take the next image as soon as they are free; hostLimiter spaces out requests per site
+    let next = 0;
+    const worker = async () => {
+      while (next < urls.length && !signal?.aborted) {
+        const index = ++next;
+        const url = urls[index - 1];
         const filename = this.generateFilename(url, index);
         const outputPath = path.join(outputDir, filename);
 
-        const success = await this.downloadImage(url, outputPath);
+        let outcome;
+        const completedPath = await manifest?.getCompleted(outputPath, url);
+        if (completedPath) {
+          outcome = { file: completedPath, status: null, errorType: null, error: null, attempts: 0, bytes: 0 };
+        } else {
+          outcome = await this.downloadImage(url, outputPath, 3, { signal, fallbackUrl: fallbacks[url], manifest });
+          if (outcome.file) await manifest?.markCompleted(outputPath, url, outcome.file);
+        }
+        results.outcomes[index - 1] = { url, ...outcome };
 
-        if (success) {
+        if (outcome.file) {
           results.success++;
-          results.files.push(outputPath);
+          results.files.push(outcome.file);
         } else {
           results.failed++;
         }
@@ -125,9 +266,19 @@ class ImageDownloader {
             failed: results.failed
           });
         }
-      });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+    await manifest?.flush();
+
+    // Results of an aborted download are incomplete
+    signal?.throwIfAborted();
 
-      await Promise.all(promises);
+    // A reused work dir may hold images an earlier run of the gallery had; .part files of images
+    // that are still in the gallery stay for the next resume
+    if (manifest) {
+      const partFiles = urls.map((url, i) => `${this.generateFilename(url, i + 1)}${PART_EXTENSION}`);
+      await this.removeStaleFiles(outputDir, [...results.files, ...partFiles]);
     }
 
     Logger.info(
@@ -137,16 +288,38 @@ class ImageDownloader {
     return results;
   }
 
+  /**
+   * Delete everything in a directory except the given entries
+   * @param {string} dir - Directory
+   * @param {Array} keep - Paths (or names) of entries to keep
+   */
+  static async removeStaleFiles(dir, keep) {
+    const keepNames = new Set(keep.map(entry => path.basename(entry)));
+    for (const name of await fs.readdir(dir)) {
+      if (!keepNames.has(name)) {
+        await fs.rm(path.join(dir, name), { recursive: true, force: true });
+      }
+    }
+  }
+
   /**
    * Download images from multiple galleries
-   * @param {Array} galleries - Array of {name, urls} objects
+   * @param {Array} galleries - Array of {name, urls, fallbacks} objects
    * @param {string} baseOutputDir - Base output directory
    * @param {Function} progressCallback - Progress callback
+   * @param {Object} options - Download options
+   * @param {AbortSignal} options.signal - Stops the download when aborted
+   * @param {DownloadManifest} options.manifest - Resume state shared by all galleries of the job
    * @returns {Object} Download results
    */
-  static async downloadMultipleGalleries(galleries, baseOutputDir, progressCallback = null) {
+  static async downloadMultipleGalleries(galleries, baseOutputDir, progressCallback = null, { signal, manifest = null } = {}) {
     Logger.info(`Downloading ${galleries.length} galleries`);
 
+    // Galleries (and reports) of an earlier run that are not part of this one
+    if (manifest) {
+      await this.removeStaleFiles(baseOutputDir, galleries.map(gallery => gallery.name));
+    }
+
     const results = {
       totalGalleries: galleries.length,
       completedGalleries: 0,
@@ -175,7 +348,8 @@ class ImageDownloader {
               totalGalleries: results.totalGalleries
             });
           }
-        }
+        },
+        { signal, fallbacks: gallery.fallbacks, manifest }
       );
 
       results.completedGalleries++;
@@ -0,0 +1,170 @@
+/**
+ * Image Validator
+ * Checks that a download is a real image before it goes into an archive
+ * Detects the true format from the file's magic bytes (the URL extension and Content-Type can lie),
+ * and rejects HTML error pages, bodies sent as text or documents, tiny files and known hotlink placeholders
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+// Configuration
+const MIN_BYTES = parseInt(process.env.IMAGE_MIN_BYTES ?? '1024') || 0;
+const PLACEHOLDER_HASHES = (process.env.IMAGE_PLACEHOLDER_HASHES || '')
+  .split(',')
+  .map(hash => hash.trim().toLowerCase())
+  .filter(Boolean);
+
+// Streamed downloads are only buffered up to this size, so size and placeholder checks
+// apply to bodies that fit (placeholders are small); larger bodies are checked by their magic bytes
+const HEAD_BYTES = 256 * 1024;
+
+// Content-Types of pages and documents: never accepted, whatever the body starts with
+const NON_IMAGE_TYPE = /^(text\/|application\/(json|xml|xhtml\+xml|javascript|pdf)$)/;
+
+// Content-Types that do not contradict any format (servers that do not know the file type)
+const NEUTRAL_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// BMP DIB header sizes (core, info and the v2-v5 variants)
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+// Magic bytes of the formats we keep, checked in order
+// Weak signatures (a few bytes any file could start with) only count when the Content-Type agrees
+const FORMATS = [
+  { ext: '.jpg', mime: 'image/jpeg', test: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { ext: '.png', mime: 'image/png', test: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { ext: '.gif', mime: 'image/gif', test: buffer => /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6)) },
+  { ext: '.webp', mime: 'image/webp', test: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP' },
+  { ext: '.avif', mime: 'image/avif', test: buffer => buffer.toString('latin1', 4, 8) === 'ftyp' && /^avi[fs]$/.test(buffer.toString('latin1', 8, 12)) },
+  { ext: '.heic', mime: 'image/heic', test: buffer => buffer.toString('latin1', 4, 8) === 'ftyp' && /^(heic|heix|mif1|msf1)$/.test(buffer.toString('latin1', 8, 12)) },
+  { ext: '.jxl', mime: 'image/jxl', test: buffer => buffer.toString('latin1', 4, 8) === 'JXL ' },
+  { ext: '.jxl', mime: 'image/jxl', weak: true, test: buffer => buffer[0] === 0xff && buffer[1] === 0x0a },
+  {
+    ext: '.bmp',
+    mime: 'image/bmp',
+    weak: true,
+    test: buffer => buffer.length >= 18 && buffer.toString('latin1', 0, 2) === 'BM' &&
+      buffer.readUInt32LE(6) === 0 && BMP_HEADER_SIZES.includes(buffer.readUInt32LE(14))
+  },
+  { ext: '.tif', mime: 'image/tiff', test: buffer => ['II*\0', 'MM\0*'].includes(buffer.toString('latin1', 0, 4)) },
+  { ext: '.ico', mime: 'image/x-icon', weak: true, test: buffer => buffer.subarray(0, 4).equals(Buffer.from([0x00, 0x00, 0x01, 0x00])) }
+];
+
+class ImageValidator {
+  /**
+   * Detect an image format from its first bytes
+   * @param {Buffer} buffer - File contents (the first few dozen bytes are enough)
+   * @returns {Object|null} { ext, mime, weak } or null if not a known image format - weak is true for
+   *   formats recognised by a short signature only
+   */
+  static detectFormat(buffer) {
+    const format = FORMATS.find(candidate => buffer.length >= 12 && candidate.test(buffer));
+    return format ? { ext: format.ext, mime: format.mime, weak: Boolean(format.weak) } : null;
+  }
+
+  /**
+   * Check a downloaded body
+   * @param {Buffer} buffer - Whole body, or its first bytes when complete is false
+   * @param {string} contentType - Response Content-Type header
+   * @param {Object} options - Options
+   * @param {boolean} options.complete - Whether buffer is the whole body (enables size and placeholder checks)
+   * @returns {Object} { valid, format, reason } - format is { ext, mime, weak } when valid
+   */
+  static validate(buffer, contentType = '', { complete = true } = {}) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const format = this.detectFormat(buffer);
+    const agrees = type.startsWith('image/') || NEUTRAL_TYPES.includes(type);
+    if (!format || NON_IMAGE_TYPE.test(type) || (format.weak && !agrees)) {
+      return { valid: false, format: null, reason: `not an image (${type || 'no Content-Type'})` };
+    }
+
+    if (complete && buffer.length < MIN_BYTES) {
+      return { valid: false, format, reason: `too small (${buffer.length} bytes)` };
+    }
+
+    if (complete && PLACEHOLDER_HASHES.length > 0) {
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+      if (PLACEHOLDER_HASHES.includes(hash)) {
+        return { valid: false, format, reason: `known placeholder image (${hash.substring(0, 12)}…)` };
+      }
+    }
+
+    return { valid: true, format, reason: null };
+  }
+
+  /**
+   * Read the pixel size from an image header
+   * Supports JPEG, PNG, GIF, WebP and BMP; the first 256 KB are enough for all but unusual JPEGs
+   * @param {Buffer} buffer - File contents, or their first bytes
+   * @returns {Object|null} { width, height } or null if the format or header is not readable
+   */
+  static readDimensions(buffer) {
+    const format = this.detectFormat(buffer);
+    try {
+      switch (format?.ext) {
+        case '.png':
+          return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        case '.gif':
+          return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        case '.bmp':
+          return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+        case '.webp': {
+          const chunk = buffer.toString('latin1', 12, 16);
+          if (chunk === 'VP8 ') {
+            return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+          }
+          if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+          }
+          if (chunk === 'VP8X') {
+            return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+          }
+          return null;
+        }
+        case '.jpg': {
+          // Walk the segments up to the start-of-frame marker
+          let offset = 2;
+          while (offset + 9 <= buffer.length) {
+            if (buffer[offset] !== 0xff) return null;
+            const marker = buffer[offset + 1];
+            if (marker === 0xff) {
+              offset++;
+            } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+              return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            } else if ((marker >= 0xd0 && marker <= 0xd9) || marker === 0x01) {
+              offset += 2;
+            } else {
+              offset += 2 + buffer.readUInt16BE(offset + 2);
+            }
+          }
+          return null;
+        }
+        default:
+          return null;
+      }
+    } catch (error) {
+      // Header cut off
+      return null;
+    }
+  }
+
+  /**
+   * Replace a filename's extension with the one of its real format
+   * @param {string} filename - File name or path (e.g. from ImageDownloader.generateFilename)
+   * @param {Object} format - Detected format
+   * @returns {string} Filename with the right extension
+   */
+  static fixExtension(filename, format) {
+    const extension = path.extname(filename);
+    const sameFormat = extension.toLowerCase() === format.ext ||
+      (format.ext === '.jpg' && extension.toLowerCase() === '.jpeg') ||
+      (format.ext === '.tif' && extension.toLowerCase() === '.tiff');
+    if (sameFormat) return filename;
+    return `${filename.slice(0, filename.length - extension.length)}${format.ext}`;
+  }
+}
+
+ImageValidator.HEAD_BYTES = HEAD_BYTES;
+
+module.exports = ImageValidator;
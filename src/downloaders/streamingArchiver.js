@@ -0,0 +1,517 @@
+/**
+ * Streaming Archiver
+ * Writes image responses straight into a zip / tar.gz archive
+ * Nothing is staged in a gallery folder: each body is held in memory (or spooled, if large) only until
+ * it has been read in full and appended as an archive entry
+ * Used for link delivery of large jobs where staging would double disk usage
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const Logger = require('../utils/logger');
+const proxyManager = require('../utils/proxyManager');
+const FileManager = require('../utils/fileManager');
+const ImageDownloader = require('./imageDownloader');
+const hostLimiter = require('./hostLimiter');
+const ImageValidator = require('./imageValidator');
+const ZipCreator = require('./zipCreator');
+const FailureReport = require('./failureReport');
+const GalleryManifest = require('./galleryManifest');
+
+// Responses waiting for their turn are buffered up to this size so their sockets keep flowing;
+// larger bodies are spooled to temp/ until their turn
+const PREFETCH_BUFFER_BYTES = 16 * 1024 * 1024;
+
+// Times a body that broke mid-transfer is opened again before it counts as failed
+const BROKEN_BODY_RETRIES = 2;
+
+class StreamingArchiver {
+  /**
+   * Check whether a format can be written as a stream
+   * @param {string} format - Archive format
+   * @returns {boolean}
+   */
+  static supportsFormat(format) {
+    return format === ZipCreator.FORMATS.ZIP || format === ZipCreator.FORMATS.TAR_GZ;
+  }
+
+  /**
+   * Read the start of a stream without losing it
+   * @param {Stream} stream - Response body
+   * @param {number} bytes - Stop once this many bytes have been read
+   * @returns {Promise<Object>} { head, complete } - complete is true if the body ended within the head
+   */
+  static readHead(stream, bytes) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let length = 0;
+
+      const finish = (complete) => {
+        // Pause before removing the listener, a flowing stream with no listeners drops data
+        stream.pause();
+        stream.off('data', onData);
+        stream.off('end', onEnd);
+        stream.off('error', onError);
+        resolve({ head: Buffer.concat(chunks), complete });
+      };
+      const onData = (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= bytes) finish(false);
+      };
+      const onEnd = () => finish(true);
+      const onError = (error) => {
+        stream.off('data', onData);
+        stream.off('end', onEnd);
+        reject(error);
+      };
+
+      stream.on('data', onData);
+      stream.once('end', onEnd);
+      stream.once('error', onError);
+    });
+  }
+
+  /**
+   * Read the rest of a body while it waits for its turn
+   * Held in memory up to PREFETCH_BUFFER_BYTES, spilled to a spool file beyond that; never rejects,
+   * a broken or short body sets entry.failed instead
+   * @param {Stream} stream - Response body, paused by readHead
+   * @param {Object} entry - Entry from openStream (data, file, bytes and hash are updated)
+   * @param {Buffer} head - Start of the body, already counted in entry
+   * @param {string} spoolPath - File to spill the body into
+   * @param {number|null} total - Content-Length, if known
+   * @returns {Promise<void>} Resolves once the body has ended or failed
+   */
+  static bufferBody(stream, entry, head, spoolPath, total) {
+    return new Promise((resolve) => {
+      let chunks = [head];
+      let buffered = head.length;
+      let file = null;
+      let settled = false;
+
+      const settle = (error = null) => {
+        if (settled) return;
+        settled = true;
+        stream.off('data', onData);
+        if (error) {
+          entry.failed = error;
+          stream.destroy();
+          file?.destroy();
+        } else if (!file) {
+          entry.data = Buffer.concat(chunks);
+        }
+        chunks = null;
+        resolve();
+      };
+
+      const onData = (chunk) => {
+        entry.bytes += chunk.length;
+        entry.hash.update(chunk);
+        if (file) {
+          if (!file.write(chunk)) stream.pause();
+          return;
+        }
+
+        chunks.push(chunk);
+        buffered += chunk.length;
+        if (buffered > PREFETCH_BUFFER_BYTES) {
+          entry.file = spoolPath;
+          file = fs.createWriteStream(spoolPath);
+          file.on('error', settle);
+          file.on('drain', () => stream.resume());
+          file.on('finish', () => settle());
+          if (!file.write(Buffer.concat(chunks))) stream.pause();
+          chunks = [];
+        }
+      };
+
+      stream.on('data', onData);
+      stream.on('error', settle);
+      stream.on('close', () => {
+        if (!stream.readableEnded) settle(new Error('aborted'));
+      });
+      stream.on('end', () => {
+        if (total !== null && entry.bytes < total) {
+          settle(new Error(`Body ended early (${entry.bytes}/${total} bytes)`));
+        } else if (file) {
+          file.end();
+        } else {
+          settle();
+        }
+      });
+      stream.resume();
+    });
+  }
+
+  /**
+   * Open an image response and start reading its body, retrying until the body starts
+   * The start of the body is checked with ImageValidator; rejected bodies are not retried
+   * @param {string} url - Image URL
+   * @param {number} retries - Number of attempts
+   * @param {AbortSignal} signal - Aborts the request
+   * @param {string} fallbackUrl - Original URL to open if this (rewritten) one returns 404
+   * @param {string} spoolPath - File for a body too large to buffer in memory
+   * @returns {Promise<Object>} { done, data, file, failed, stream, format, dimensions, status, attempts, bytes, hash } -
+   *   done resolves once the body has been read, into data (Buffer) or file (spoolPath); failed is set
+   *   if the body broke or ended early; stream is the response body (destroy to drop it); format and dimensions come from the start of the body;
+   *   bytes and hash (sha256) cover the body read so far.
+   *   { error, outcome } if every attempt failed or the body is not a valid image (outcome: see FailureReport)
+   */
+  static async openStream(url, retries, signal, fallbackUrl = null, spoolPath = null) {
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      signal?.throwIfAborted();
+
+      let slot = null;
+      try {
+        slot = await hostLimiter.acquire(url, { signal });
+        Logger.debug(`Opening image stream (attempt ${attempt}/${retries}): ${url}`);
+        const response = await proxyManager.request(ImageDownloader.buildRequest(url, 'stream', signal));
+
+        // The host slot stays taken until the body has been read
+        response.data.on('end', () => slot.release());
+        response.data.on('close', () => slot.release());
+        response.data.on('error', error => slot.release(error));
+
+        // Nothing can be taken back out of the archive, so check the body before it becomes an entry
+        const { head, complete } = await this.readHead(response.data, ImageValidator.HEAD_BYTES);
+        const check = ImageValidator.validate(head, response.headers['content-type'], { complete });
+        if (!check.valid) {
+          response.data.destroy();
+          const outcome = FailureReport.rejected(check.reason, response.status, attempt, head.length);
+          return { error: new Error(outcome.error), outcome };
+        }
+
+        const entry = {
+          done: null,
+          data: null,
+          file: null,
+          failed: null,
+          format: check.format,
+          dimensions: ImageValidator.readDimensions(head),
+          status: response.status,
+          stream: response.data,
+          attempts: attempt,
+          bytes: head.length,
+          hash: crypto.createHash('sha256').update(head)
+        };
+        if (complete) {
+          entry.data = head;
+          entry.done = Promise.resolve();
+          return entry;
+        }
+
+        // Only whole bodies become entries, so one that breaks can still be opened again
+        const total = Number(response.headers['content-length']) || null;
+        entry.done = this.bufferBody(response.data, entry, head, spoolPath, total);
+        return entry;
+      } catch (error) {
+        slot?.release(error);
+        signal?.throwIfAborted();
+
+        if (fallbackUrl && error.response?.status === 404) {
+          Logger.warn(`Rewritten URL not found, falling back to original: ${fallbackUrl}`);
+          const entry = await this.openStream(fallbackUrl, retries, signal, null, spoolPath);
+          if (entry.outcome) entry.outcome.attempts += attempt;
+          else entry.attempts += attempt;
+          return entry;
+        }
+
+        Logger.warn(`Stream attempt ${attempt} failed for: ${url}`, { error: error.message });
+
+        if (attempt === retries) {
+          return { error, outcome: FailureReport.fromError(error, attempt) };
+        }
+
+        // Wait before retry (exponential backoff)
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  /**
+   * Append a stream as an archive entry and wait until it has been consumed
+   * @param {Archiver} archive - archiver instance
+   * @param {Stream|Buffer} stream - Entry data
+   * @param {string} name - Entry name inside the archive
+   * @returns {Promise<void>}
+   */
+  static appendEntry(archive, stream, name) {
+    return new Promise((resolve, reject) => {
+      const onEntry = (entry) => {
+        if (entry.name !== name) return;
+        archive.off('entry', onEntry);
+        archive.off('error', onError);
+        resolve();
+      };
+      const onError = (error) => {
+        archive.off('entry', onEntry);
+        reject(error);
+      };
+
+      archive.on('entry', onEntry);
+      archive.once('error', onError);
+      archive.append(stream, { name });
+    });
+  }
+
+  /**
+   * Download galleries straight into an archive
+   * @param {Array} galleries - Array of {name, urls, fallbacks, url, metadata} objects (url and metadata go into manifest.json)
+   * @param {string} outputPath - Output archive path (extension added from format)
+   * @param {Object} options - Archive options
+   * @param {string} options.format - zip or tar.gz
+   * @param {number} options.volumeSizeMB - Split into volumes of this size (0 = single file)
+   * @param {number} options.concurrency - Responses fetched ahead of the archive writer
+   * @param {AbortSignal} options.signal - Stops downloading and removes the partial archive
+   * @param {string} options.sourceUrl - URL the job was started from (for manifest.json)
+   * @param {Function} progressCallback - Progress callback (same shape as downloadMultipleGalleries)
+   * @returns {Promise<Object>} Download results with archive files
+   */
+  static async downloadToArchive(galleries, outputPath, options = {}, progressCallback = null) {
+    const { format = ZipCreator.FORMATS.ZIP, volumeSizeMB = 0, concurrency = 5, signal, sourceUrl = null } = options;
+
+    if (!this.supportsFormat(format)) {
+      throw new Error(`Streaming is not supported for ${format} archives`);
+    }
+    if (!outputPath.endsWith(`.${format}`)) {
+      outputPath = `${outputPath}.${format}`;
+    }
+    outputPath = path.resolve(outputPath);
+
+    const results = {
+      totalGalleries: galleries.length,
+      completedGalleries: 0,
+      totalImages: 0,
+      successImages: 0,
+      failedImages: 0,
+      galleries: galleries.map(gallery => ({
+        name: gallery.name,
+        total: gallery.urls.length,
+        success: 0,
+        failed: 0,
+        // Per-URL outcome, in the order of urls
+        outcomes: []
+      })),
+      files: []
+    };
+
+    // Flatten into entries, keeping the staged layout: <gallery>/<nnn_name.ext>
+    const tasks = [];
+    galleries.forEach((gallery, galleryIndex) => {
+      gallery.urls.forEach((url, i) => {
+        tasks.push({
+          url,
+          fallbackUrl: gallery.fallbacks?.[url],
+          galleryIndex,
+          index: i,
+          name: `${gallery.name}/${ImageDownloader.generateFilename(url, i + 1)}`
+        });
+      });
+    });
+    results.totalImages = tasks.length;
+
+    Logger.info(`Streaming ${tasks.length} images into ${format} archive: ${path.basename(outputPath)}`);
+
+    // Written under a hidden name (not served by nginx) and renamed once complete
+    const partialPath = path.join(path.dirname(outputPath), `.${path.basename(outputPath)}.partial`);
+    let archiveSize = 0;
+    const spoolDir = await FileManager.createTempDir('stream');
+
+    const archive = format === ZipCreator.FORMATS.ZIP
+      ? archiver('zip', { store: true })
+      : archiver('tar', { gzip: true, gzipOptions: { level: 1 } });
+    const output = fs.createWriteStream(partialPath);
+
+    // An archive or disk error (e.g. ENOSPC) can come at any time; every wait below races against it
+    let fail;
+    const failed = new Promise((resolve, reject) => {
+      fail = reject;
+    });
+    failed.catch(() => {});
+    archive.on('error', error => fail(error));
+    output.on('error', error => fail(error));
+    const guard = promise => Promise.race([failed, promise]);
+
+    const closed = new Promise(resolve => output.on('close', resolve));
+    archive.on('warning', (error) => {
+      Logger.warn('Archive warning', { error: error.message });
+    });
+    archive.pipe(output);
+
+    const report = (task) => {
+      const gallery = results.galleries[task.galleryIndex];
+      if (gallery.success + gallery.failed === gallery.total) {
+        results.completedGalleries++;
+      }
+
+      if (progressCallback) {
+        progressCallback({
+          galleryName: gallery.name,
+          galleryProgress: {
+            current: gallery.success + gallery.failed,
+            total: gallery.total,
+            success: gallery.success,
+            failed: gallery.failed
+          },
+          completedGalleries: results.completedGalleries,
+          totalGalleries: results.totalGalleries
+        });
+      }
+    };
+
+    // Requests run ahead of the writer; entries are appended strictly in order
+    // Their own signal also stops the ones still retrying when the archive fails
+    const requests = new AbortController();
+    const requestSignal = signal ? AbortSignal.any([signal, requests.signal]) : requests.signal;
+    const pending = [];
+    let next = 0;
+    const open = item => this.openStream(item.task.url, 3, requestSignal, item.task.fallbackUrl, item.spoolPath)
+      .catch(error => ({ error }));
+    const fill = () => {
+      while (next < tasks.length && pending.length < concurrency) {
+        const item = { task: tasks[next], spoolPath: path.join(spoolDir, String(next)) };
+        next++;
+        item.opened = open(item);
+        pending.push(item);
+      }
+    };
+
+    try {
+      fill();
+      while (pending.length > 0) {
+        const item = pending[0];
+        const { task } = item;
+        let entry = await guard(item.opened);
+        signal?.throwIfAborted();
+
+        // Wait for the whole body; one that broke is not in the archive yet, so open it again
+        let attempts = 0;
+        for (let reopens = 0; !entry.error; reopens++) {
+          await guard(entry.done);
+          signal?.throwIfAborted();
+          if (!entry.failed || reopens === BROKEN_BODY_RETRIES) break;
+
+          Logger.warn(`Image stream broke, reopening: ${task.url}`, { error: entry.failed.message });
+          attempts += entry.attempts;
+          await FileManager.deleteFile(item.spoolPath);
+          item.opened = open(item);
+          entry = await guard(item.opened);
+          signal?.throwIfAborted();
+        }
+        if (entry.outcome) entry.outcome.attempts += attempts;
+        else if (!entry.error) entry.attempts += attempts;
+
+        const gallery = results.galleries[task.galleryIndex];
+        let outcome;
+        if (entry.error) {
+          Logger.error(`Failed to stream image: ${task.url}`, { error: entry.error.message });
+          outcome = entry.outcome || FailureReport.fromError(entry.error, 0);
+        } else if (entry.failed) {
+          // Left out of the archive, which only gets whole bodies
+          Logger.error(`Image stream broke: ${task.url}`, { error: entry.failed.message });
+          outcome = FailureReport.fromError(entry.failed, entry.attempts, entry.bytes);
+        } else {
+          const name = ImageValidator.fixExtension(task.name, entry.format);
+          const data = entry.file ? fs.createReadStream(entry.file) : entry.data;
+          await guard(this.appendEntry(archive, data, name));
+          entry.data = null;
+          if (entry.file) await FileManager.deleteFile(entry.file);
+
+          outcome = {
+            file: name,
+            status: entry.status,
+            errorType: null,
+            error: null,
+            attempts: entry.attempts,
+            bytes: entry.bytes,
+            width: entry.dimensions?.width ?? null,
+            height: entry.dimensions?.height ?? null,
+            sha256: entry.hash.digest('hex')
+          };
+        }
+
+        gallery.outcomes[task.index] = { url: task.url, ...outcome };
+        if (outcome.file) {
+          gallery.success++;
+          results.successImages++;
+        } else {
+          gallery.failed++;
+          results.failedImages++;
+        }
+
+        pending.shift();
+        report(task);
+        fill();
+      }
+
+      signal?.throwIfAborted();
+
+      // Staged archives get the same files (see FailureReport.write and GalleryManifest.write)
+      if (results.successImages > 0) {
+        const failures = FailureReport.collect(results.galleries);
+        if (failures.length > 0) {
+          const failureReport = Buffer.from(FailureReport.format(failures, results.totalImages));
+          await guard(this.appendEntry(archive, failureReport, FailureReport.FILE_NAME));
+        }
+
+        const manifest = GalleryManifest.fromStreamed(sourceUrl, galleries, results.galleries);
+        for (const { name, data } of GalleryManifest.entries(manifest)) {
+          await guard(this.appendEntry(archive, data, name));
+        }
+      }
+
+      await guard(archive.finalize());
+      await guard(closed);
+
+      if (results.successImages > 0) {
+        archiveSize = (await fs.promises.stat(partialPath)).size;
+
+        // Volumes are cut from the hidden file and published together, each under its final name
+        const volumeSize = Math.floor(volumeSizeMB * 1024 * 1024);
+        const parts = volumeSize > 0 ? await ZipCreator.splitFile(partialPath, volumeSize) : [partialPath];
+        for (const part of parts) {
+          const file = part === partialPath ? outputPath : `${outputPath}${part.slice(partialPath.length)}`;
+          await fs.promises.rename(part, file);
+          results.files.push(file);
+        }
+      } else {
+        await FileManager.deleteFile(partialPath);
+      }
+    } catch (error) {
+      // Drop responses that were fetched ahead
+      requests.abort();
+      for (const { opened } of pending) {
+        opened.then(entry => entry.stream?.destroy());
+      }
+      archive.abort();
+      output.destroy();
+      for (const file of [partialPath, ...await ZipCreator.findOutputFiles(partialPath), ...results.files]) {
+        await FileManager.deleteFile(file);
+      }
+
+      if (signal?.aborted) {
+        Logger.info(`Streaming archive aborted: ${path.basename(outputPath)}`);
+        throw signal.reason;
+      }
+      Logger.error('Streaming archive failed', { error: error.message });
+      throw error;
+    } finally {
+      await FileManager.deleteDir(spoolDir);
+    }
+
+    if (results.successImages === 0) {
+      return results;
+    }
+
+    Logger.info(
+      `Streaming archive completed: ${results.successImages}/${results.totalImages} images, ` +
+      `${FileManager.formatBytes(archiveSize)}`
+    );
+    return results;
+  }
+}
+
+module.exports = StreamingArchiver;
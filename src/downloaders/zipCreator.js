@@ -1,51 +1,218 @@
 /**
- * Archive Creator (7z - Single File)
- * Creates 7z archives from downloaded images
+ * Archive Creator
+ * Creates zip / tar.gz archives in-process (archiver) and 7z archives via the 7z binary
  * Handles both single and multi-gallery archives
- * Outputs single file (no splitting) for direct download
+ * Optionally splits archives into fixed-size volumes (.001, .002, ...)
  */
 
-const { execSync } = require('child_process');
+const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const archiver = require('archiver');
 const Logger = require('../utils/logger');
 const FileManager = require('../utils/fileManager');
 
+// Supported archive formats and their file extensions
+const ARCHIVE_FORMATS = {
+  ZIP: 'zip',
+  TAR_GZ: 'tar.gz',
+  SEVEN_Z: '7z'
+};
+
+// Partial downloads a work dir keeps for a later resume (see ImageDownloader.downloadImage)
+const EXCLUDED_EXTENSION = '.part';
+
+const DEFAULT_FORMAT = Object.values(ARCHIVE_FORMATS).includes(process.env.ARCHIVE_FORMAT)
+  ? process.env.ARCHIVE_FORMAT
+  : ARCHIVE_FORMATS.SEVEN_Z;
+
 class ZipCreator {
   /**
-   * Create 7z archive using 7z command (single file, no split)
+   * Run the 7z binary
+   * @param {Array} args - Command line arguments
+   * @param {Object} options - Spawn options
+   * @param {string} options.cwd - Working directory
+   * @param {AbortSignal} options.signal - Kills the child process when aborted
+   * @returns {Promise<void>}
+   */
+  static run7z(args, { cwd, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      Logger.debug(`Executing: 7z ${args.join(' ')}`);
+
+      const child = spawn('7z', args, { cwd, signal, stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk;
+      });
+      child.on('error', reject);
+      child.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`7z exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Build a zip or tar.gz archive in-process
    * @param {string} sourceDir - Source directory to archive
    * @param {string} outputPath - Output archive file path
-   * @returns {Promise<string>} Path to created file
+   * @param {string} format - zip or tar.gz
+   * @param {AbortSignal} signal - Aborts archiving
+   * @returns {Promise<void>}
    */
-  static async createArchive(sourceDir, outputPath) {
+  static runArchiver(sourceDir, outputPath, format, signal) {
+    return new Promise((resolve, reject) => {
+      // Images are already compressed, so zip entries are stored as-is
+      const archive = format === ARCHIVE_FORMATS.ZIP
+        ? archiver('zip', { store: true })
+        : archiver('tar', { gzip: true, gzipOptions: { level: 1 } });
+      const output = fs.createWriteStream(outputPath);
+
+      const onAbort = () => {
+        archive.abort();
+        output.destroy();
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      output.on('close', () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      });
+      output.on('error', reject);
+      archive.on('error', reject);
+      archive.on('warning', (error) => {
+        Logger.warn('Archive warning', { error: error.message });
+      });
+
+      archive.pipe(output);
+      archive.directory(sourceDir, false, entry => (entry.name.endsWith(EXCLUDED_EXTENSION) ? false : entry));
+      archive.finalize();
+    });
+  }
+
+  /**
+   * Split a file into fixed-size volumes (name.001, name.002, ...)
+   * Volumes can be joined with 7-Zip or `cat name.* > name`
+   * @param {string} filePath - File to split
+   * @param {number} volumeSize - Volume size in bytes
+   * @returns {Promise<Array>} Volume paths (the original path if no split was needed)
+   */
+  static async splitFile(filePath, volumeSize) {
+    const { size } = await fs.promises.stat(filePath);
+    if (size <= volumeSize) {
+      return [filePath];
+    }
+
+    const volumes = [];
+    for (let start = 0, part = 1; start < size; start += volumeSize, part++) {
+      const volumePath = `${filePath}.${String(part).padStart(3, '0')}`;
+      await new Promise((resolve, reject) => {
+        fs.createReadStream(filePath, { start, end: Math.min(start + volumeSize, size) - 1 })
+          .on('error', reject)
+          .pipe(fs.createWriteStream(volumePath))
+          .on('error', reject)
+          .on('finish', resolve);
+      });
+      volumes.push(volumePath);
+    }
+
+    await FileManager.deleteFile(filePath);
+    Logger.info(`Archive split into ${volumes.length} volumes`);
+    return volumes;
+  }
+
+  /**
+   * Create archive (optionally split into volumes)
+   * @param {string} sourceDir - Source directory to archive
+   * @param {string} outputPath - Output archive file path (extension added from format)
+   * @param {Object} options - Archive options
+   * @param {string} options.format - zip, tar.gz or 7z
+   * @param {number} options.volumeSizeMB - Split into volumes of this size (0 = single file)
+   * @param {AbortSignal} options.signal - Stops archiving and removes partial output when aborted
+   * @returns {Promise<Array>} Paths to created files
+   */
+  static async createArchive(sourceDir, outputPath, { format = DEFAULT_FORMAT, volumeSizeMB = 0, signal } = {}) {
+    if (!Object.values(ARCHIVE_FORMATS).includes(format)) {
+      format = DEFAULT_FORMAT;
+    }
+
+    // Ensure output path ends with the format extension
+    const extension = `.${format}`;
+    if (!outputPath.endsWith(extension)) {
+      outputPath = `${outputPath}${extension}`;
+    }
+    outputPath = path.resolve(outputPath);
+    const volumeSize = Math.floor(volumeSizeMB * 1024 * 1024);
+
     try {
-      Logger.info(`Creating 7z archive: ${path.basename(outputPath)}`);
-      
-      // Ensure output path ends with .7z
-      if (!outputPath.endsWith('.7z')) {
-        outputPath = `${outputPath}.7z`;
-      }
-      
-      const command = `7z a -t7z "${outputPath}" "${sourceDir}"/*`;
-      
-      Logger.debug(`Executing: ${command}`);
-      execSync(command, { stdio: 'pipe' });
-      
-      if (fs.existsSync(outputPath)) {
-        const stats = fs.statSync(outputPath);
-        Logger.info(`Archive created successfully: ${FileManager.formatBytes(stats.size)}`);
-        return outputPath;
+      Logger.info(`Creating ${format} archive: ${path.basename(outputPath)}`);
+
+      let files;
+      if (format === ARCHIVE_FORMATS.SEVEN_Z) {
+        // Run inside the source dir so the archive holds its contents, not the dir itself
+        const args = ['a', '-t7z', outputPath, '*', `-xr!*${EXCLUDED_EXTENSION}`];
+        if (volumeSize > 0) args.push(`-v${volumeSizeMB}m`);
+        await this.run7z(args, { cwd: sourceDir, signal });
+        files = await this.findOutputFiles(outputPath);
       } else {
+        await this.runArchiver(sourceDir, outputPath, format, signal);
+        files = volumeSize > 0 ? await this.splitFile(outputPath, volumeSize) : [outputPath];
+      }
+
+      if (files.length === 0) {
         throw new Error('Archive file was not created');
       }
-      
+
+      let totalSize = 0;
+      for (const file of files) {
+        totalSize += (await fs.promises.stat(file)).size;
+      }
+      Logger.info(`Archive created successfully: ${FileManager.formatBytes(totalSize)} in ${files.length} file(s)`);
+      return files;
     } catch (error) {
+      if (signal?.aborted) {
+        for (const file of await this.findOutputFiles(outputPath)) {
+          await FileManager.deleteFile(file);
+        }
+        Logger.info(`Archive creation aborted: ${path.basename(outputPath)}`);
+        throw signal.reason;
+      }
       Logger.error('Failed to create archive', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Find an archive and its volumes on disk
+   * A single 7z volume (name.7z.001) is renamed back to name.7z
+   * @param {string} outputPath - Archive path without volume suffix
+   * @returns {Promise<Array>} Existing archive files, in volume order
+   */
+  static async findOutputFiles(outputPath) {
+    const dir = path.dirname(outputPath);
+    const base = path.basename(outputPath);
+    const entries = await fs.promises.readdir(dir).catch(() => []);
+
+    const volumes = entries
+      .filter(name => name.startsWith(`${base}.`) && /\.\d{3}$/.test(name))
+      .sort()
+      .map(name => path.join(dir, name));
+
+    if (volumes.length === 1) {
+      await fs.promises.rename(volumes[0], outputPath);
+      return [outputPath];
+    }
+    if (volumes.length > 0) {
+      return volumes;
+    }
+    return entries.includes(base) ? [outputPath] : [];
+  }
+
   /**
    * Get total size of directory
    * @param {string} dir - Directory path
@@ -72,14 +239,15 @@ class ZipCreator {
    * Create archive from single gallery
    * @param {string} galleryDir - Gallery directory
    * @param {string} galleryName - Gallery name for archive filename
-   * @returns {Promise<string>} Path to created archive
+   * @param {Object} options - Archive options (format, volumeSizeMB, signal)
+   * @returns {Promise<Array>} Paths to created archive files
    */
-  static async createSingleGalleryZip(galleryDir, galleryName) {
+  static async createSingleGalleryZip(galleryDir, galleryName, options = {}) {
     try {
-      const archiveFilename = `${galleryName}_${Date.now()}.7z`;
+      const archiveFilename = `${galleryName}_${Date.now()}`;
       const archivePath = path.join(path.dirname(galleryDir), archiveFilename);
 
-      return await this.createArchive(galleryDir, archivePath);
+      return await this.createArchive(galleryDir, archivePath, options);
     } catch (error) {
       Logger.error('Failed to create single gallery archive', { error: error.message });
       throw error;
@@ -90,14 +258,15 @@ class ZipCreator {
    * Create archive from multiple galleries
    * @param {string} baseDir - Base directory containing gallery folders
    * @param {string} modelName - Model name for archive filename
-   * @returns {Promise<string>} Path to created archive
+   * @param {Object} options - Archive options (format, volumeSizeMB, signal)
+   * @returns {Promise<Array>} Paths to created archive files
    */
-  static async createMultiGalleryZip(baseDir, modelName) {
+  static async createMultiGalleryZip(baseDir, modelName, options = {}) {
     try {
-      const archiveFilename = `${modelName}_galleries_${Date.now()}.7z`;
+      const archiveFilename = `${modelName}_galleries_${Date.now()}`;
       const archivePath = path.join(path.dirname(baseDir), archiveFilename);
 
-      return await this.createArchive(baseDir, archivePath);
+      return await this.createArchive(baseDir, archivePath, options);
     } catch (error) {
       Logger.error('Failed to create multi-gallery archive', { error: error.message });
       throw error;
@@ -123,4 +292,7 @@ class ZipCreator {
   }
 }
 
+ZipCreator.FORMATS = ARCHIVE_FORMATS;
+ZipCreator.DEFAULT_FORMAT = DEFAULT_FORMAT;
+
 module.exports = ZipCreator;
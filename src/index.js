@@ -8,6 +8,7 @@ const express = require('express');
 const TelegramBot = require('./bot');
 const Logger = require('./utils/logger');
 const FileManager = require('./utils/fileManager');
+const retentionManager = require('./utils/retentionManager');
 
 // Configuration
 const PORT = process.env.PORT || 3000;
@@ -74,6 +75,9 @@ if (NODE_ENV === 'production') {
         setInterval(() => {
           FileManager.cleanupOldTempDirs();
         }, 60 * 60 * 1000); // Every hour
+
+        // Expire published archives (runs once now, then on schedule)
+        retentionManager.start();
       });
     })
     .catch((error) => {
@@ -96,6 +100,9 @@ if (NODE_ENV === 'production') {
       setInterval(() => {
         FileManager.cleanupOldTempDirs();
       }, 60 * 60 * 1000);
+
+      // Expire published archives
+      retentionManager.start();
     })
     .catch((error) => {
       Logger.error('Failed to start bot with polling', { error: error.message });
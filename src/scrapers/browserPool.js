@@ -0,0 +1,227 @@
+/**
+ * Browser Pool
+ * One shared headless Chrome for all Puppeteer scraping
+ * Limits open pages, closes the browser when idle and relaunches it after a crash
+ */
+
+const puppeteer = require('puppeteer');
+const Logger = require('../utils/logger');
+
+// Configuration
+const MAX_PAGES = parseInt(process.env.BROWSER_MAX_PAGES) || 3;
+const IDLE_TIMEOUT_MS = (parseFloat(process.env.BROWSER_IDLE_SECONDS) || 60) * 1000;
+
+// Resources link extraction never needs (the DOM is enough)
+const BLOCKED_RESOURCE_TYPES = ['image', 'font', 'media'];
+
+class BrowserPool {
+  constructor() {
+    this.browser = null;
+    this.launching = null;
+    this.openPages = 0;
+    this.waiters = [];
+    this.idleTimer = null;
+    this.proxyContexts = new WeakMap();
+  }
+
+  /**
+   * Launch browser with optimized settings
+   * @returns {Promise<Browser>} Puppeteer browser instance
+   */
+  async launch() {
+    try {
+      Logger.debug('Launching Puppeteer browser');
+
+      const browser = await puppeteer.launch({
+        headless: 'new',
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--disable-gpu',
+          '--window-size=1920x1080'
+        ],
+        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined
+      });
+
+      // Crash or kill: forget the browser so the next page relaunches it
+      browser.on('disconnected', () => {
+        if (this.browser === browser) {
+          this.browser = null;
+          Logger.warn(`Browser disconnected (${this.openPages} pages open), it will be relaunched on demand`);
+        }
+      });
+
+      Logger.info('Browser launched');
+      return browser;
+    } catch (error) {
+      Logger.error('Failed to launch browser', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the shared browser, launching it if needed (concurrent callers share one launch)
+   * @returns {Promise<Browser>}
+   */
+  async getBrowser() {
+    if (this.browser?.isConnected()) {
+      return this.browser;
+    }
+
+    if (!this.launching) {
+      this.launching = this.launch()
+        .then((browser) => {
+          this.browser = browser;
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+    return this.launching;
+  }
+
+  /**
+   * Wait for a free page slot
+   * @param {AbortSignal} signal - Stops waiting
+   * @returns {Promise<void>}
+   */
+  waitForSlot(signal) {
+    if (this.openPages < MAX_PAGES) {
+      this.openPages++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }
+      };
+      const onAbort = () => {
+        this.waiters = this.waiters.filter(item => item !== waiter);
+        reject(signal.reason);
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiters.push(waiter);
+      Logger.debug(`All ${MAX_PAGES} browser pages busy, waiting (${this.waiters.length} in line)`);
+    });
+  }
+
+  /**
+   * Hand a freed slot to the next waiter, or schedule the idle shutdown
+   */
+  releaseSlot() {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      // The slot passes straight to the waiter, openPages stays the same
+      waiter.resolve();
+      return;
+    }
+
+    this.openPages--;
+    if (this.openPages === 0) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = setTimeout(() => {
+        Logger.debug('Browser idle, closing it');
+        this.close();
+      }, IDLE_TIMEOUT_MS);
+    }
+  }
+
+  /**
+   * Open a page in the shared browser
+   * Close it with releasePage() when done; PuppeteerScraper.applyProfile sets User-Agent, headers and cookies
+   * @param {Object} options - Page options
+   * @param {boolean} options.blockResources - Skip images, fonts and media
+   * @param {string} options.proxy - Proxy URL; the page gets its own browser context routed through it
+   * @param {AbortSignal} options.signal - Aborts while waiting for a slot or the launch
+   * @returns {Promise<Page>} Puppeteer page
+   */
+  async acquirePage({ blockResources = false, proxy = null, signal } = {}) {
+    signal?.throwIfAborted();
+    await this.waitForSlot(signal);
+    clearTimeout(this.idleTimer);
+
+    try {
+      signal?.throwIfAborted();
+      const browser = await this.getBrowser();
+      const page = proxy ? await this.newProxyPage(browser, proxy) : await browser.newPage();
+
+      if (blockResources) {
+        await page.setRequestInterception(true);
+        page.on('request', (request) => {
+          if (BLOCKED_RESOURCE_TYPES.includes(request.resourceType())) {
+            request.abort().catch(() => {});
+          } else {
+            request.continue().catch(() => {});
+          }
+        });
+      }
+
+      return page;
+    } catch (error) {
+      this.releaseSlot();
+      throw error;
+    }
+  }
+
+  /**
+   * Open a page in a new browser context that uses a proxy
+   * @param {Browser} browser - Shared browser
+   * @param {string} proxy - Proxy URL (credentials are answered with page.authenticate; SOCKS5 ones are rejected)
+   * @returns {Promise<Page>}
+   */
+  async newProxyPage(browser, proxy) {
+    const { protocol, host, username, password } = new URL(proxy);
+    if (protocol.startsWith('socks') && username) {
+      throw new Error(`Chrome does not support SOCKS5 proxies with a username and password: ${protocol}//${host}`);
+    }
+    // Chrome resolves hostnames through SOCKS5 proxies itself
+    const proxyServer = `${protocol === 'socks5h:' ? 'socks5:' : protocol}//${host}`;
+
+    const context = await browser.createIncognitoBrowserContext({ proxyServer });
+    try {
+      const page = await context.newPage();
+      if (username) {
+        await page.authenticate({ username: decodeURIComponent(username), password: decodeURIComponent(password) });
+      }
+      this.proxyContexts.set(page, context);
+      return page;
+    } catch (error) {
+      await context.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Close a page from acquirePage() and free its slot
+   * @param {Page} page - Puppeteer page
+   */
+  async releasePage(page) {
+    await page.close().catch(() => {});
+    await this.proxyContexts.get(page)?.close().catch(() => {});
+    this.releaseSlot();
+  }
+
+  /**
+   * Close the shared browser (relaunched on the next acquirePage)
+   */
+  async close() {
+    clearTimeout(this.idleTimer);
+    const browser = this.browser;
+    this.browser = null;
+
+    if (browser) {
+      await browser.close().catch(() => {});
+      Logger.info('Browser closed');
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new BrowserPool();
@@ -0,0 +1,205 @@
+/**
+ * Generic Scraper
+ * Best-effort image extraction for domains without a site strategy (opt-in via GENERIC_SCRAPER)
+ * Collects image links, <img> sources (src / srcset / lazy-load attributes) and og:image tags,
+ * keeps the largest variant of each image and drops site chrome (logos, icons, navigation)
+ */
+
+const { JSDOM } = require('jsdom');
+const Logger = require('../utils/logger');
+const JsdomScraper = require('./jsdomScraper');
+
+// File extensions treated as images
+const IMAGE_EXTENSION = /\.(jpe?g|png|webp|gif|avif|bmp)$/i;
+
+// Attributes lazy-loading scripts use instead of src / srcset
+const SRC_ATTRIBUTES = ['src', 'data-src', 'data-lazy-src', 'data-original', 'data-full', 'data-large'];
+const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset', 'data-lazy-srcset'];
+
+// Site chrome: matched against the URL path and the element's class, id and alt
+const CHROME_PATTERN = /logo|icon|sprite|avatar|favicon|banner|emoji|placeholder|spacer|blank|pixel|badge|button|loading|spinner/i;
+const CHROME_CONTAINERS = 'header, nav, footer, aside';
+
+// Images whose known size is below this (px) are icons or tiny thumbnails
+const MIN_DIMENSION = 100;
+
+class GenericScraper {
+  /**
+   * Guess an image's size from its URL (e.g. -150x150, _w400, ?w=800)
+   * @param {string} url - Image URL
+   * @returns {number|null} Largest dimension, or null if the URL has no hint
+   */
+  static getUrlSizeHint(url) {
+    const { pathname, searchParams } = new URL(url);
+
+    const dimensions = pathname.match(/(\d{2,4})x(\d{2,4})/);
+    if (dimensions) return Math.max(Number(dimensions[1]), Number(dimensions[2]));
+
+    const width = pathname.match(/[_-]w(\d{2,4})\b/) ||
+      [null, searchParams.get('w') || searchParams.get('width')];
+    return width[1] ? Number(width[1]) : null;
+  }
+
+  /**
+   * Key shared by all size variants of one image
+   * Strips size tokens, size folders and the query string
+   * @param {string} url - Image URL
+   * @returns {string} Group key
+   */
+  static getGroupKey(url) {
+    const { origin, pathname } = new URL(url);
+    const base = pathname
+      .toLowerCase()
+      .replace(/\/(thumbs?|thumbnails?|small|medium|large|full|originals?)\//g, '/')
+      .replace(/[-_]\d{2,4}x\d{2,4}(?=\.\w+$)/, '')
+      .replace(/[_-]w\d{2,4}(?=[._-])/, '')
+      .replace(/@\dx(?=\.\w+$)/, '');
+    return `${origin}${base}`;
+  }
+
+  /**
+   * Pick the largest entry of a srcset
+   * @param {string} srcset - srcset attribute value
+   * @returns {Object|null} { url, size } - size is the w descriptor (or x * 1000), null if absent
+   */
+  static pickLargestSrcset(srcset) {
+    let best = null;
+
+    // Entries are separated by a comma followed by whitespace (URLs may contain bare commas)
+    for (const entry of srcset.split(/,\s+/)) {
+      const [url, descriptor = ''] = entry.trim().split(/\s+/);
+      if (!url) continue;
+
+      const match = descriptor.match(/^(\d+(?:\.\d+)?)([wx])$/);
+      const size = match ? Number(match[1]) * (match[2] === 'x' ? 1000 : 1) : null;
+      if (!best || (size || 0) > (best.size || 0)) {
+        best = { url, size };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Check whether an element looks like site chrome rather than content
+   * @param {Element} element - Element the candidate came from
+   * @returns {boolean}
+   */
+  static isChromeElement(element) {
+    if (element.closest(CHROME_CONTAINERS)) return true;
+
+    const label = [element.className, element.id, element.getAttribute('alt')].join(' ');
+    if (CHROME_PATTERN.test(label)) return true;
+
+    const width = parseInt(element.getAttribute('width'));
+    const height = parseInt(element.getAttribute('height'));
+    return (width > 0 && width < MIN_DIMENSION) || (height > 0 && height < MIN_DIMENSION);
+  }
+
+  /**
+   * Collect image candidates from a page and keep the best variant of each image
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - Page URL (resolves relative links)
+   * @returns {Object} { urls, dropped } - dropped lists chrome / tiny candidates
+   */
+  static parseImages(html, pageUrl) {
+    const document = new JSDOM(html).window.document;
+    const candidates = [];
+    const dropped = [];
+
+    const add = (rawUrl, element, source, size = null) => {
+      let url;
+      try {
+        url = new URL(rawUrl.trim(), pageUrl).href;
+      } catch (error) {
+        return;
+      }
+      if (!url.startsWith('http')) return;
+
+      const { pathname } = new URL(url);
+      const hint = size || this.getUrlSizeHint(url);
+      const isChrome = /\.svg$/i.test(pathname) ||
+        CHROME_PATTERN.test(pathname) ||
+        (element && this.isChromeElement(element)) ||
+        (hint !== null && hint < MIN_DIMENSION);
+
+      if (isChrome) {
+        dropped.push(url);
+        return;
+      }
+      candidates.push({ url, source, size: hint });
+    };
+
+    // Links straight to image files are usually the full-size originals
+    document.querySelectorAll('a[href]').forEach((link) => {
+      const href = link.getAttribute('href');
+      const pathname = href.split(/[?#]/)[0];
+      if (IMAGE_EXTENSION.test(pathname)) {
+        add(href, link, 'link');
+      }
+    });
+
+    document.querySelectorAll('img').forEach((img) => {
+      // A thumbnail inside an image link is covered by the link
+      const parentLink = img.closest('a[href]');
+      if (parentLink && IMAGE_EXTENSION.test(parentLink.getAttribute('href').split(/[?#]/)[0])) return;
+
+      const srcset = SRCSET_ATTRIBUTES.map(attr => img.getAttribute(attr)).find(Boolean);
+      const largest = srcset ? this.pickLargestSrcset(srcset) : null;
+      if (largest) {
+        add(largest.url, img, 'img', largest.size);
+        return;
+      }
+
+      const src = SRC_ATTRIBUTES.map(attr => img.getAttribute(attr)).find(value => value && !value.startsWith('data:'));
+      if (src) {
+        const width = parseInt(img.getAttribute('width')) || null;
+        add(src, img, 'img', width);
+      }
+    });
+
+    document.querySelectorAll(
+      'meta[property="og:image"], meta[property="og:image:url"], meta[property="og:image:secure_url"]'
+    ).forEach((meta) => {
+      const content = meta.getAttribute('content');
+      if (content) add(content, null, 'meta');
+    });
+
+    // Group size variants of the same image and keep the largest (links win when size is unknown)
+    const rank = candidate => candidate.size || (candidate.source === 'link' ? Infinity : 0);
+    const groups = new Map();
+    for (const candidate of candidates) {
+      const key = this.getGroupKey(candidate.url);
+      const current = groups.get(key);
+      if (!current || rank(candidate) > rank(current)) {
+        groups.set(key, candidate);
+      }
+    }
+
+    return { urls: [...new Set([...groups.values()].map(candidate => candidate.url))], dropped };
+  }
+
+  /**
+   * Extract image URLs from any page
+   * @param {string} url - Page URL
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Aborts the page request
+   * @returns {Object} { urls, fallbacks } - same shape as JsdomScraper.extractImages
+   */
+  static async extractImages(url, { signal } = {}) {
+    try {
+      Logger.info(`Extracting images with the generic scraper: ${url}`);
+
+      const html = await JsdomScraper.fetchHTML(url, { signal });
+      const { urls, dropped } = this.parseImages(html, url);
+
+      Logger.info(`Generic scraper found ${urls.length} images (${dropped.length} dropped as site chrome)`);
+      return { urls, fallbacks: {} };
+    } catch (error) {
+      Logger.error(`Generic scraper failed for: ${url}`, { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = GenericScraper;
@@ -4,30 +4,40 @@
  * Uses CSS selectors from strategy configuration
  */
 
-const axios = require('axios');
 const { JSDOM } = require('jsdom');
 const Logger = require('../utils/logger');
+const requestProfiles = require('../utils/requestProfiles');
+const proxyManager = require('../utils/proxyManager');
+const Pagination = require('./pagination');
+
+// Gallery titles are cut to this many characters when used as folder names
+const MAX_FOLDER_NAME_LENGTH = 80;
 
 class JsdomScraper {
   /**
    * Fetch HTML content from URL
    * @param {string} url - URL to fetch
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Aborts the request
    * @returns {string} HTML content
    */
-  static async fetchHTML(url) {
+  static async fetchHTML(url, { signal } = {}) {
     try {
       Logger.debug(`Fetching HTML from: ${url}`);
       
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      const response = await proxyManager.request({
+        method: 'GET',
+        url,
+        // Site profile adds its User-Agent, headers and cookies
+        headers: requestProfiles.getHeaders(url, {
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
           'Accept-Language': 'en-US,en;q=0.5',
           'Accept-Encoding': 'gzip, deflate',
           'Connection': 'keep-alive',
           'Upgrade-Insecure-Requests': '1'
-        },
-        timeout: 30000
+        }),
+        timeout: 30000,
+        signal
       });
 
       Logger.debug(`HTML fetched successfully (${response.data.length} bytes)`);
@@ -59,46 +69,196 @@ class JsdomScraper {
   }
 
   /**
-   * Extract image URLs from gallery page
+   * Apply a strategy's rewrite rules to an image URL, in order
+   * @param {string} url - Image URL
+   * @param {Array} rewrites - Rules ({ pattern, replace, flags })
+   * @returns {string} Rewritten URL
+   */
+  static rewriteUrl(url, rewrites = []) {
+    return rewrites.reduce(
+      (current, rule) => current.replace(new RegExp(rule.pattern, rule.flags || ''), rule.replace),
+      url
+    );
+  }
+
+  /**
+   * Collect an attribute from every element matching a selector
+   * @param {Document} document - Parsed document
+   * @param {string} selector - CSS selector
+   * @param {string} attr - Attribute name
+   * @returns {Array} Non-empty attribute values, in document order
+   */
+  static selectAttributes(document, selector, attr) {
+    const elements = document.querySelectorAll(selector);
+    Logger.debug(`Found ${elements.length} elements matching selector: ${selector}`);
+
+    const values = [];
+    elements.forEach(element => {
+      const value = element.getAttribute(attr);
+      if (value) {
+        values.push(value);
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Read a strategy's metadata fields from a gallery page
+   * Tags collect every matching element, the other fields use the first
+   * @param {Document} document - Parsed document
+   * @param {Object} metadata - Strategy metadata block (optional)
+   * @returns {Object|null} { title, model, date, tags } - missing fields are null ([] for tags); null without a block
+   */
+  static parseMetadata(document, metadata) {
+    if (!metadata) return null;
+
+    const read = (element, field) =>
+      ((field.attr ? element.getAttribute(field.attr) : element.textContent) || '').replace(/\s+/g, ' ').trim();
+    const first = (field) => {
+      const element = field ? document.querySelector(field.selector) : null;
+      return element ? read(element, field) || null : null;
+    };
+
+    const tags = metadata.tags
+      ? [...document.querySelectorAll(metadata.tags.selector)].map(element => read(element, metadata.tags))
+      : [];
+
+    return {
+      title: first(metadata.title),
+      model: first(metadata.model),
+      date: first(metadata.date),
+      tags: [...new Set(tags.filter(Boolean))]
+    };
+  }
+
+  /**
+   * Run a strategy's images selector, rewrite rules and filter patterns on gallery HTML
+   * @param {string} html - Gallery page HTML
+   * @param {Object} strategy - Strategy configuration for the site
+   * @returns {Object} { urls, matched, rewritten, filteredOut, fallbacks, nextLink, metadata }
+   *   urls are rewritten, filtered and unique; fallbacks maps a rewritten URL to its original;
+   *   metadata comes from parseMetadata
+   */
+  static parseImages(html, strategy) {
+    const document = new JSDOM(html).window.document;
+    const { rewrites, rewriteFallback } = strategy.images;
+
+    // Extract image URLs using strategy selector
+    const matched = this.selectAttributes(document, strategy.images.selector, strategy.images.attr);
+
+    // Rewrite thumbnails to full-resolution URLs
+    const rewritten = [];
+    const fallbacks = {};
+    const candidates = matched.map(url => {
+      const target = this.rewriteUrl(url, rewrites);
+      if (target !== url) {
+        rewritten.push({ from: url, to: target });
+        if (rewriteFallback && !fallbacks[target]) fallbacks[target] = url;
+      }
+      return target;
+    });
+
+    // Filter out thumbnails
+    const kept = this.filterImages(candidates, strategy.images.filterPatterns);
+    const keptSet = new Set(kept);
+    const filteredOut = candidates.filter(url => !keptSet.has(url));
+
+    // Remove duplicates
+    return {
+      urls: [...keptSet],
+      matched,
+      rewritten,
+      filteredOut,
+      fallbacks,
+      nextLink: Pagination.findNextLink(document, strategy.images.pagination),
+      metadata: this.parseMetadata(document, strategy.metadata)
+    };
+  }
+
+  /**
+   * Run a strategy's galleries selector on model page HTML
+   * Mirrors PuppeteerScraper.extractGalleryLinks for already rendered HTML
+   * @param {string} html - Model page HTML
+   * @param {Object} strategy - Strategy configuration for the site
+   * @param {string} pageUrl - URL the page was loaded from (resolves relative links)
+   * @returns {Object} { urls, matched, nextLink } - urls are absolute and unique
+   */
+  static parseGalleryLinks(html, strategy, pageUrl) {
+    const document = new JSDOM(html).window.document;
+    const matched = this.selectAttributes(document, strategy.galleries.selector, strategy.galleries.attr);
+
+    // Convert relative URLs to absolute and remove duplicates
+    const urls = [...new Set(matched.map(link => new URL(link, pageUrl).href))];
+    return { urls, matched, nextLink: Pagination.findNextLink(document, strategy.galleries.pagination) };
+  }
+
+  /**
+   * Extract image URLs from gallery page (and its further pages if the strategy paginates)
    * @param {string} url - Gallery URL
    * @param {Object} strategy - Strategy configuration for the site
-   * @returns {Array} Array of image URLs
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Aborts the page request
+   * @param {Function} options.onPage - Called after each page with { page, maxPages, found, total }
+   * @param {Function} options.fetchPage - Loads a page's HTML (default: fetchHTML; PuppeteerScraper renders it)
+   * @returns {Object} { urls, fallbacks, metadata } - image URLs, original URLs to retry when a rewritten one 404s,
+   *   and the gallery metadata of the first page (null if the strategy has no metadata block)
    */
-  static async extractImages(url, strategy) {
+  static async extractImages(url, strategy, { signal, onPage, fetchPage } = {}) {
+    const loadPage = fetchPage || (pageUrl => this.fetchHTML(pageUrl, { signal }));
+
     try {
       Logger.info(`Extracting images from gallery: ${url}`);
 
-      // Fetch HTML
-      const html = await this.fetchHTML(url);
+      const pagination = strategy.images.pagination;
+      const maxPages = Pagination.getMaxPages(pagination);
+      const urls = new Set();
+      const fallbacks = {};
+      const visited = new Set();
+      let metadata = null;
+      let pageUrl = url;
+      let page = 0;
+      let scraped = 0;
 
-      // Parse with jsdom
-      const dom = new JSDOM(html);
-      const document = dom.window.document;
+      while (pageUrl && !visited.has(pageUrl)) {
+        page++;
+        visited.add(pageUrl);
 
-      // Extract image URLs using strategy selector
-      const selector = strategy.images.selector;
-      const attr = strategy.images.attr;
-      const elements = document.querySelectorAll(selector);
+        // Fetch HTML (only the first page is required)
+        let html;
+        try {
+          html = await loadPage(pageUrl);
+        } catch (error) {
+          if (page === 1 || signal?.aborted) throw error;
+          Logger.warn(`Stopping pagination at page ${page}: ${pageUrl}`, { error: error.message });
+          break;
+        }
 
-      Logger.debug(`Found ${elements.length} elements matching selector: ${selector}`);
+        const result = this.parseImages(html, strategy);
+        if (page === 1) metadata = result.metadata;
+        const before = urls.size;
+        scraped++;
+        result.urls.forEach(imageUrl => urls.add(imageUrl));
+        for (const [target, original] of Object.entries(result.fallbacks)) {
+          if (!fallbacks[target]) fallbacks[target] = original;
+        }
 
-      // Get URLs from elements
-      const urls = [];
-      elements.forEach(element => {
-        const url = element.getAttribute(attr);
-        if (url) {
-          urls.push(url);
+        if (onPage) {
+          onPage({ page, maxPages, found: result.urls.length, total: urls.size });
         }
-      });
 
-      // Filter out thumbnails
-      const filteredUrls = this.filterImages(urls, strategy.images.filterPatterns);
+        // A page without new images is past the last one
+        if (page > 1 && urls.size === before) break;
 
-      // Remove duplicates
-      const uniqueUrls = [...new Set(filteredUrls)];
+        pageUrl = Pagination.getNextUrl(pagination, {
+          firstUrl: url,
+          currentUrl: pageUrl,
+          nextPage: page + 1,
+          nextLink: result.nextLink
+        });
+      }
 
-      Logger.info(`Extracted ${uniqueUrls.length} unique images from gallery`);
-      return uniqueUrls;
+      Logger.info(`Extracted ${urls.size} unique images from gallery` + (scraped > 1 ? ` (${scraped} pages)` : ''));
+      return { urls: [...urls], fallbacks, metadata };
     } catch (error) {
       Logger.error(`Failed to extract images from: ${url}`, { error: error.message });
       throw error;
@@ -122,6 +282,22 @@ class JsdomScraper {
       return 'gallery';
     }
   }
+
+  /**
+   * Name a gallery's folder: its title when the strategy extracts one, otherwise the URL slug
+   * @param {string} url - Gallery URL
+   * @param {Object} metadata - Gallery metadata (optional)
+   * @returns {string} Folder name, safe on common filesystems
+   */
+  static getFolderName(url, metadata = null) {
+    const title = (metadata?.title || '')
+      .replace(/[<>:"/\\|?*\u0000-\u001f]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s.]+|[\s.]+$/g, '');
+    const shortened = Array.from(title).slice(0, MAX_FOLDER_NAME_LENGTH).join('').trim();
+
+    return shortened || this.extractGalleryName(url);
+  }
 }
 
 module.exports = JsdomScraper;
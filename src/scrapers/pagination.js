@@ -0,0 +1,71 @@
+/**
+ * Pagination
+ * Page-walking rules shared by the scrapers for strategies with a pagination block
+ * The next page comes from a next-link selector or a URL template, up to maxPages
+ */
+
+// Pages followed when a pagination block does not set maxPages
+const DEFAULT_MAX_PAGES = 10;
+
+class Pagination {
+  /**
+   * Get the number of pages to visit
+   * @param {Object} pagination - Strategy pagination block (optional)
+   * @returns {number} Page limit (1 without pagination)
+   */
+  static getMaxPages(pagination) {
+    return pagination ? pagination.maxPages || DEFAULT_MAX_PAGES : 1;
+  }
+
+  /**
+   * Find the next-page link in a parsed document
+   * @param {Document} document - Parsed page
+   * @param {Object} pagination - Strategy pagination block (optional)
+   * @returns {string|null} Raw link value
+   */
+  static findNextLink(document, pagination) {
+    if (!pagination?.nextSelector) return null;
+
+    const element = document.querySelector(pagination.nextSelector);
+    return element?.getAttribute(pagination.nextAttr || 'href') || null;
+  }
+
+  /**
+   * Resolve the URL of the next page
+   * Templates replace {url} with the first page URL (its query is carried over) and {page} with the page number
+   * @param {Object} pagination - Strategy pagination block (optional)
+   * @param {Object} context - Current position
+   * @param {string} context.firstUrl - URL of page 1
+   * @param {string} context.currentUrl - URL of the page just scraped
+   * @param {number} context.nextPage - Number of the page to load next
+   * @param {string} context.nextLink - Next-link value found on the current page
+   * @returns {string|null} Absolute URL, or null when there are no more pages
+   */
+  static getNextUrl(pagination, { firstUrl, currentUrl, nextPage, nextLink }) {
+    if (!pagination || nextPage > this.getMaxPages(pagination)) return null;
+
+    if (pagination.urlTemplate) {
+      // {url} is the first page without its query and hash; that query is kept, with the template's
+      // parameters set on top ("{url}?page={page}" on /models?sort=new -> /models?sort=new&page=2)
+      const first = new URL(firstUrl);
+      const base = `${first.origin}${first.pathname.replace(/\/+$/, '')}`;
+      const pageUrl = new URL(
+        pagination.urlTemplate.replace(/\{url\}/g, base).replace(/\{page\}/g, String(nextPage)),
+        firstUrl
+      );
+
+      if (pagination.urlTemplate.includes('{url}')) {
+        const params = new URLSearchParams(first.search);
+        for (const [key, value] of pageUrl.searchParams) {
+          params.set(key, value);
+        }
+        pageUrl.search = params.toString();
+      }
+      return pageUrl.href;
+    }
+
+    return nextLink ? new URL(nextLink, currentUrl).href : null;
+  }
+}
+
+module.exports = Pagination;
@@ -1,139 +1,404 @@
 /**
  * Puppeteer Scraper
  * Handles lazy-loaded content using headless Chrome
- * Used for extracting gallery links from model pages
+ * Used for extracting gallery links from model pages, and images from
+ * galleries that render client-side (images.engine "puppeteer" / "auto")
+ * Pages come from the shared browser pool
  */
 
-const puppeteer = require('puppeteer');
 const Logger = require('../utils/logger');
+const requestProfiles = require('../utils/requestProfiles');
+const proxyManager = require('../utils/proxyManager');
+const browserPool = require('./browserPool');
+const Pagination = require('./pagination');
+const JsdomScraper = require('./jsdomScraper');
+
+// Lazy loading: wait this long for new items after each scroll, and stop after this many rounds without any
+const SCROLL_WAIT_MS = 2000;
+const STABLE_ROUNDS = 2;
+
+// Scroll time limit when the strategy does not set maxDurationSeconds
+const DEFAULT_SCROLL_SECONDS = 30;
+
+// Time each login step may take (waiting for a field, a navigation or a selector)
+const LOGIN_STEP_TIMEOUT_MS = 30000;
+
+// Logins in progress by profile domain ({ promise, controller, waiters }), so concurrent jobs share one
+const pendingLogins = new Map();
 
 class PuppeteerScraper {
   /**
-   * Launch browser with optimized settings
-   * @returns {Browser} Puppeteer browser instance
+   * Apply the site's request profile to a page before navigating to a URL
+   * @param {Page} page - Puppeteer page instance
+   * @param {string} url - URL about to be loaded
+   */
+  static async applyProfile(page, url) {
+    await page.setUserAgent(requestProfiles.getUserAgent(url));
+    await page.setExtraHTTPHeaders(requestProfiles.getProfile(url)?.profile.headers || {});
+
+    const cookies = requestProfiles.getCookies(url).map(({ expires, ...cookie }) => (
+      expires > 0 ? { ...cookie, expires } : cookie
+    ));
+    if (cookies.length > 0) {
+      await page.setCookie(...cookies);
+    }
+  }
+
+  /**
+   * Copy the page's cookies into the shared jar so axios requests send them too
+   * Only for sites with a request profile
+   * @param {Page} page - Puppeteer page instance
+   * @param {string} url - Loaded URL
+   */
+  static async captureCookies(page, url) {
+    if (!requestProfiles.getProfile(url)) return;
+    requestProfiles.addCookies(await page.cookies());
+  }
+
+  /**
+   * Run one scripted login step
+   * @param {Page} page - Puppeteer page instance
+   * @param {Object} step - { fill, value } | { click, waitForNavigation } | { waitFor }
+   */
+  static async runLoginStep(page, step) {
+    const options = { timeout: LOGIN_STEP_TIMEOUT_MS };
+
+    if (step.fill) {
+      await page.waitForSelector(step.fill, options);
+      await page.type(step.fill, String(step.value ?? ''));
+    } else if (step.click) {
+      await page.waitForSelector(step.click, options);
+      await Promise.all([
+        step.waitForNavigation ? page.waitForNavigation({ ...options, waitUntil: 'networkidle2' }) : null,
+        page.click(step.click)
+      ]);
+    } else if (step.waitFor) {
+      await page.waitForSelector(step.waitFor, options);
+    }
+  }
+
+  /**
+   * Log in with the profile's scripted steps and keep the session cookies
+   * @param {string} domain - Profile domain
+   * @param {Object} login - Profile login block ({ url, steps })
+   * @param {Object} options - Login options
+   * @param {AbortSignal} options.signal - Closes the login page and stops between steps
    */
-  static async launchBrowser() {
+  static async login(domain, login, { signal } = {}) {
+    // Login pages may need their images (e.g. captchas), so nothing is blocked
+    const proxy = proxyManager.getProxy(login.url);
+    const page = await browserPool.acquirePage({ proxy, signal });
+    const onAbort = () => {
+      page.close().catch(() => {});
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     try {
-      Logger.debug('Launching Puppeteer browser');
-      
-      const browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--disable-gpu',
-          '--window-size=1920x1080'
-        ],
-        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined
-      });
+      Logger.info(`Logging in to ${domain}`);
+      await this.applyProfile(page, login.url);
+      await page.goto(login.url, { waitUntil: 'networkidle2', timeout: 60000 });
+
+      for (const [index, step] of login.steps.entries()) {
+        signal?.throwIfAborted();
+        try {
+          await this.runLoginStep(page, step);
+        } catch (error) {
+          throw new Error(`Login to ${domain} failed at step ${index + 1}: ${error.message}`);
+        }
+      }
 
-      Logger.debug('Browser launched successfully');
-      return browser;
+      requestProfiles.addCookies(await page.cookies());
+      requestProfiles.markLoggedIn(domain);
+      proxyManager.reportSuccess(proxy);
+      Logger.info(`Logged in to ${domain}`);
     } catch (error) {
-      Logger.error('Failed to launch browser', { error: error.message });
+      if (signal?.aborted) {
+        Logger.info(`Login to ${domain} cancelled`);
+        throw signal.reason;
+      }
+      proxyManager.reportError(proxy, error);
+      Logger.error(`Login to ${domain} failed`, { error: error.message });
       throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      await browserPool.releasePage(page);
     }
   }
 
   /**
-   * Auto-scroll page to load lazy-loaded content
-   * @param {Page} page - Puppeteer page instance
+   * Log in to a URL's site if its profile has a login and the session is missing or expired
+   * Jobs of the same site share one login, which stops once every job waiting for it is cancelled
+   * @param {string} url - Page URL
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Stops waiting for the login
    */
-  static async autoScroll(page) {
+  static async ensureSession(url, { signal } = {}) {
+    if (!requestProfiles.needsLogin(url)) return;
+    signal?.throwIfAborted();
+
+    const { domain, profile } = requestProfiles.getProfile(url);
+    let pending = pendingLogins.get(domain);
+    if (!pending) {
+      const controller = new AbortController();
+      pending = { controller, waiters: 0 };
+      pending.promise = this.login(domain, profile.login, { signal: controller.signal })
+        .finally(() => pendingLogins.delete(domain));
+      pendingLogins.set(domain, pending);
+    }
+
+    pending.waiters++;
+    let onAbort;
     try {
-      Logger.debug('Auto-scrolling page to load lazy content');
-      
-      await page.evaluate(async () => {
-        await new Promise((resolve) => {
-          let totalHeight = 0;
-          const distance = 100;
-          const timer = setInterval(() => {
-            const scrollHeight = document.body.scrollHeight;
-            window.scrollBy(0, distance);
-            totalHeight += distance;
-
-            if (totalHeight >= scrollHeight) {
-              clearInterval(timer);
-              resolve();
-            }
-          }, 100);
-        });
+      await new Promise((resolve, reject) => {
+        onAbort = () => reject(signal.reason);
+        signal?.addEventListener('abort', onAbort, { once: true });
+        pending.promise.then(resolve, reject);
       });
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      pending.waiters--;
+      if (pending.waiters === 0 && signal?.aborted) pending.controller.abort();
+    }
+  }
+
+  /**
+   * Scroll (and click "load more") until the number of matching elements stops growing
+   * @param {Page} page - Puppeteer page instance
+   * @param {string} selector - Elements whose count measures progress
+   * @param {Object} scroll - Strategy scroll block (optional)
+   * @param {AbortSignal} signal - Stops scrolling
+   * @returns {Promise<number>} Matching elements after scrolling
+   */
+  static async autoScroll(page, selector, scroll = {}, signal = null) {
+    const deadline = Date.now() + (scroll.maxDurationSeconds || DEFAULT_SCROLL_SECONDS) * 1000;
+    const maxItems = scroll.maxItems || Infinity;
+    const countItems = () => page.$$eval(selector, elements => elements.length);
+
+    let count = 0;
+    let stableRounds = 0;
+
+    try {
+      count = await countItems();
+      Logger.debug(`Auto-scrolling page to load lazy content (${count} items)`);
+
+      while (stableRounds < STABLE_ROUNDS && count < maxItems && Date.now() < deadline) {
+        signal?.throwIfAborted();
+
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+        if (scroll.loadMoreSelector) {
+          // Missing, hidden or detached buttons just mean there is nothing more to load
+          const button = await page.$(scroll.loadMoreSelector);
+          if (button) {
+            await button.click().catch(() => {});
+            await button.dispose();
+          }
+        }
+
+        // Wait for new items to appear, or give up on this round
+        await page.waitForFunction(
+          (itemSelector, previous) => document.querySelectorAll(itemSelector).length > previous,
+          { timeout: Math.max(1, Math.min(SCROLL_WAIT_MS, deadline - Date.now())), polling: 250 },
+          selector,
+          count
+        ).catch(() => {});
 
-      // Wait a bit more for any final lazy loads
-      await page.waitForTimeout(2000);
-      Logger.debug('Auto-scroll completed');
+        const next = await countItems();
+        stableRounds = next > count ? 0 : stableRounds + 1;
+        count = next;
+      }
+
+      Logger.debug(`Auto-scroll completed (${count} items)`);
     } catch (error) {
+      signal?.throwIfAborted();
       Logger.error('Auto-scroll failed', { error: error.message });
     }
+
+    return count;
+  }
+
+  /**
+   * Extract image URLs from a gallery rendered in the browser
+   * Each page is loaded and scrolled, then parsed with the same selector,
+   * rewrite and filter logic as JsdomScraper (pagination included)
+   * @param {string} url - Gallery URL
+   * @param {Object} strategy - Strategy configuration for the site
+   * @param {Object} options - Extraction options
+   * @param {AbortSignal} options.signal - Closes the page and aborts extraction
+   * @param {Function} options.onPage - Called after each page with { page, maxPages, found, total }
+   * @returns {Object} { urls, fallbacks } - same shape as JsdomScraper.extractImages
+   */
+  static async extractImages(url, strategy, { signal, onPage } = {}) {
+    let page;
+    const proxy = proxyManager.getProxy(url);
+    const onAbort = () => {
+      if (page) page.close().catch(() => {});
+    };
+
+    try {
+      Logger.info(`Rendering gallery in the browser: ${url}`);
+
+      // Image URLs are read from the DOM, so the images themselves are not loaded
+      page = await browserPool.acquirePage({ blockResources: true, proxy, signal });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      signal?.throwIfAborted();
+
+      const result = await JsdomScraper.extractImages(url, strategy, {
+        signal,
+        onPage,
+        fetchPage: async (pageUrl) => {
+          Logger.debug(`Navigating to: ${pageUrl}`);
+          await this.applyProfile(page, pageUrl);
+          const response = await page.goto(pageUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+          if (response && !response.ok()) {
+            throw new Error(`HTTP ${response.status()}`);
+          }
+          await this.captureCookies(page, pageUrl);
+
+          await this.autoScroll(page, strategy.images.selector, strategy.images.scroll, signal);
+          signal?.throwIfAborted();
+          return page.content();
+        }
+      });
+      proxyManager.reportSuccess(proxy);
+      return result;
+    } catch (error) {
+      if (signal?.aborted) {
+        Logger.info(`Gallery rendering aborted: ${url}`);
+        throw signal.reason;
+      }
+      proxyManager.reportError(proxy, error);
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      if (page) {
+        await browserPool.releasePage(page);
+      }
+    }
   }
 
   /**
-   * Extract gallery links from model page
+   * Extract gallery links from model page (and its further pages if the strategy paginates)
    * @param {string} url - Model page URL
    * @param {Object} strategy - Strategy configuration for the site
+   * @param {Object} options - Extraction options
+   * @param {AbortSignal} options.signal - Closes the page and aborts extraction
+   * @param {Function} options.onPage - Called after each page with { page, maxPages, found, total }
    * @returns {Array} Array of gallery URLs
    */
-  static async extractGalleryLinks(url, strategy) {
-    let browser;
+  static async extractGalleryLinks(url, strategy, { signal, onPage } = {}) {
+    let page;
+    const proxy = proxyManager.getProxy(url);
+    const onAbort = () => {
+      if (page) page.close().catch(() => {});
+    };
     
     try {
+      if (!strategy.galleries) {
+        throw new Error(`The strategy for ${new URL(url).hostname} has no "galleries" block`);
+      }
       Logger.info(`Extracting gallery links from: ${url}`);
 
-      // Launch browser
-      browser = await this.launchBrowser();
-      const page = await browser.newPage();
+      // Links only need the DOM: skip images, fonts and media (page closed immediately if the job is cancelled)
+      page = await browserPool.acquirePage({ blockResources: true, proxy, signal });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      signal?.throwIfAborted();
 
-      // Set user agent
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+      const selector = strategy.galleries.selector;
+      const attr = strategy.galleries.attr;
+      const pagination = strategy.galleries.pagination;
+      const maxPages = Pagination.getMaxPages(pagination);
+      const links = new Set();
+      const visited = new Set();
+      let pageUrl = url;
+      let pageNumber = 0;
+      let scraped = 0;
 
-      // Navigate to page
-      Logger.debug(`Navigating to: ${url}`);
-      await page.goto(url, { 
-        waitUntil: 'networkidle2',
-        timeout: 60000 
-      });
+      while (pageUrl && !visited.has(pageUrl)) {
+        pageNumber++;
+        visited.add(pageUrl);
 
-      // Auto-scroll to load all galleries
-      await this.autoScroll(page);
+        // Navigate to page (only the first page is required)
+        Logger.debug(`Navigating to: ${pageUrl}`);
+        let response;
+        try {
+          await this.applyProfile(page, pageUrl);
+          response = await page.goto(pageUrl, { 
+            waitUntil: 'networkidle2',
+            timeout: 60000 
+          });
+        } catch (error) {
+          if (pageNumber === 1) throw error;
+          signal?.throwIfAborted();
+          Logger.warn(`Stopping pagination at page ${pageNumber}: ${pageUrl}`, { error: error.message });
+          break;
+        }
+        if (pageNumber > 1 && response && !response.ok()) {
+          Logger.warn(`Stopping pagination at page ${pageNumber}: HTTP ${response.status()}`);
+          break;
+        }
+        await this.captureCookies(page, pageUrl);
 
-      // Extract gallery links using strategy selector
-      const selector = strategy.galleries.selector;
-      const attr = strategy.galleries.attr;
+        // Auto-scroll to load all galleries
+        await this.autoScroll(page, selector, strategy.galleries.scroll, signal);
+        signal?.throwIfAborted();
+
+        // Extract gallery links using strategy selector
+        Logger.debug(`Extracting links with selector: ${selector}`);
+
+        const galleryLinks = await page.$$eval(
+          selector,
+          (elements, attribute) => {
+            return elements.map(el => el.getAttribute(attribute)).filter(link => link);
+          },
+          attr
+        );
 
-      Logger.debug(`Extracting links with selector: ${selector}`);
-
-      const galleryLinks = await page.$$eval(
-        selector,
-        (elements, attribute) => {
-          return elements.map(el => el.getAttribute(attribute)).filter(link => link);
-        },
-        attr
-      );
-
-      // Convert relative URLs to absolute if needed
-      const baseUrl = new URL(url).origin;
-      const absoluteLinks = galleryLinks.map(link => {
-        if (link.startsWith('http')) {
-          return link;
+        // Convert relative URLs to absolute and remove duplicates
+        const before = links.size;
+        scraped++;
+        for (const link of galleryLinks) {
+          links.add(new URL(link, pageUrl).href);
+        }
+
+        if (onPage) {
+          onPage({ page: pageNumber, maxPages, found: galleryLinks.length, total: links.size });
         }
-        return new URL(link, baseUrl).href;
-      });
 
-      // Remove duplicates
-      const uniqueLinks = [...new Set(absoluteLinks)];
+        // A page without new galleries is past the last one
+        if (pageNumber > 1 && links.size === before) break;
 
-      Logger.info(`Extracted ${uniqueLinks.length} gallery links`);
+        const nextLink = pagination?.nextSelector
+          ? await page.$eval(
+            pagination.nextSelector,
+            (el, attribute) => el.getAttribute(attribute),
+            pagination.nextAttr || 'href'
+          ).catch(() => null)
+          : null;
+
+        pageUrl = Pagination.getNextUrl(pagination, {
+          firstUrl: url,
+          currentUrl: pageUrl,
+          nextPage: pageNumber + 1,
+          nextLink
+        });
+      }
+
+      const uniqueLinks = [...links];
+      Logger.info(`Extracted ${uniqueLinks.length} gallery links` + (scraped > 1 ? ` (${scraped} pages)` : ''));
+      proxyManager.reportSuccess(proxy);
       return uniqueLinks;
     } catch (error) {
+      if (signal?.aborted) {
+        Logger.info(`Gallery link extraction aborted: ${url}`);
+        throw signal.reason;
+      }
+      proxyManager.reportError(proxy, error);
       Logger.error(`Failed to extract gallery links from: ${url}`, { error: error.message });
       throw error;
     } finally {
-      if (browser) {
-        await browser.close();
-        Logger.debug('Browser closed');
+      signal?.removeEventListener('abort', onAbort);
+      if (page) {
+        await browserPool.releasePage(page);
       }
     }
   }
@@ -1,38 +1,335 @@
 /**
  * Strategy Engine
  * Loads and manages site-specific scraping strategies
+ * Validates every strategy against a JSON Schema and reloads them when the files change
  * Provides strategy lookup by domain
  */
 
 const fs = require('fs').promises;
+const { watch, existsSync } = require('fs');
 const path = require('path');
+const Ajv = require('ajv');
+const { JSDOM } = require('jsdom');
 const Logger = require('../utils/logger');
+const strategySchema = require('../config/siteStrategies.schema.json');
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../config/siteStrategies.json');
+const STRATEGIES_DIR = process.env.STRATEGIES_DIR || path.join(process.cwd(), 'strategies');
+
+// Editors save in several steps, so wait for the writes to settle before reloading
+const RELOAD_DEBOUNCE_MS = 500;
 
 class StrategyEngine {
   constructor() {
     this.strategies = {};
+    this.sources = {};
     this.loaded = false;
+    this.watchers = [];
+    this.reloadTimer = null;
+    this.validateSchema = new Ajv({ allErrors: true }).compile(strategySchema);
+    this.selectorDocument = null;
   }
 
   /**
-   * Load strategies from JSON config file
+   * Check whether a CSS selector parses
+   * @param {string} selector - CSS selector
+   * @returns {boolean}
    */
-  async loadStrategies() {
+  isValidSelector(selector) {
+    this.selectorDocument = this.selectorDocument || new JSDOM('').window.document;
+    try {
+      this.selectorDocument.querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check a strategy against the schema and make sure its selectors parse
+   * @param {Object} strategy - Strategy object
+   * @returns {Array} Error messages (empty when valid)
+   */
+  validateStrategy(strategy) {
+    if (!this.validateSchema(strategy)) {
+      return this.validateSchema.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+    }
+
+    const errors = [];
+
+    // Any string under a "selector" / "...Selector" key must be valid CSS,
+    // and any "pattern" (with its sibling "flags") a valid regex
+    const checkSelectors = (value, pointer) => {
+      if (!value || typeof value !== 'object') return;
+      for (const [key, child] of Object.entries(value)) {
+        if (typeof child === 'string' && /selector$/i.test(key)) {
+          if (!this.isValidSelector(child)) {
+            errors.push(`${pointer}/${key} is not a valid CSS selector: ${child}`);
+          }
+        } else if (typeof child === 'string' && key === 'pattern') {
+          try {
+            new RegExp(child, value.flags || '');
+          } catch (error) {
+            errors.push(`${pointer}/${key} is not a valid regular expression: ${error.message}`);
+          }
+        } else {
+          checkSelectors(child, `${pointer}/${key}`);
+        }
+      }
+    };
+    checkSelectors(strategy, '');
+
+    // Proxies are only parsed per request, so a malformed one would fail every request to the site
+    // (the URL itself is not echoed, it may hold a password)
+    (strategy.proxies || []).forEach((proxyUrl, index) => {
+      try {
+        const { hostname, pathname, search } = new URL(proxyUrl);
+        if (!hostname || (pathname !== '/' && pathname !== '') || search) throw new Error('unexpected path');
+      } catch (error) {
+        errors.push(`/proxies/${index} is not a valid proxy URL (expected protocol://[user:pass@]host:port)`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Read and validate the built-in config and the external strategies directory
+   * External files hold one strategy each (with a "domain" field) and override built-in entries;
+   * a file with "removed": true hides the built-in entry of its domain
+   * @returns {Promise<Object>} { strategies, sources, errors } - sources maps a domain to its file name
+   */
+  async readStrategies() {
+    const strategies = {};
+    const sources = {};
+    const errors = [];
+
+    const add = (source, domain, strategy) => {
+      const strategyErrors = this.validateStrategy(strategy);
+      if (strategyErrors.length > 0) {
+        errors.push(...strategyErrors.map(error => `${source} [${domain}]: ${error}`));
+        return;
+      }
+      if (strategies[domain]) {
+        Logger.info(`Strategy for ${domain} overridden by ${source}`);
+      }
+      strategies[domain] = strategy;
+      sources[domain] = source;
+    };
+
+    // Built-in strategies, keyed by domain
     try {
-      const configPath = path.join(__dirname, '../config/siteStrategies.json');
-      const data = await fs.readFile(configPath, 'utf8');
-      this.strategies = JSON.parse(data);
-      
+      const config = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf8'));
+
       // Remove comment fields
-      delete this.strategies._comment;
-      delete this.strategies._structure;
-      
-      this.loaded = true;
-      Logger.info(`Loaded ${Object.keys(this.strategies).length} site strategies`);
+      delete config._comment;
+      delete config._structure;
+
+      for (const [domain, strategy] of Object.entries(config)) {
+        add(path.basename(CONFIG_PATH), domain, strategy);
+      }
     } catch (error) {
-      Logger.error('Failed to load site strategies', { error: error.message });
-      throw new Error('Could not load site strategies configuration');
+      errors.push(`${path.basename(CONFIG_PATH)}: ${error.message}`);
     }
+
+    // External strategies, one per file
+    if (existsSync(STRATEGIES_DIR)) {
+      const files = (await fs.readdir(STRATEGIES_DIR)).filter(file => file.endsWith('.json')).sort();
+
+      for (const file of files) {
+        try {
+          const strategy = JSON.parse(await fs.readFile(path.join(STRATEGIES_DIR, file), 'utf8'));
+          if (!strategy.domain) {
+            errors.push(`${file}: missing "domain"`);
+            continue;
+          }
+          // Tombstone of a removed built-in strategy (see removeStrategy)
+          if (strategy.removed === true) {
+            delete strategies[strategy.domain];
+            delete sources[strategy.domain];
+            continue;
+          }
+          add(file, strategy.domain, strategy);
+        } catch (error) {
+          errors.push(`${file}: ${error.message}`);
+        }
+      }
+    }
+
+    return { strategies, sources, errors };
+  }
+
+  /**
+   * Load strategies from the JSON config file and the strategies directory
+   * Fails with every validation error listed
+   */
+  async loadStrategies() {
+    const { strategies, sources, errors } = await this.readStrategies();
+
+    if (errors.length > 0) {
+      for (const error of errors) {
+        Logger.error(`Invalid site strategy: ${error}`);
+      }
+      throw new Error(`Could not load site strategies configuration:\n${errors.join('\n')}`);
+    }
+
+    this.strategies = strategies;
+    this.sources = sources;
+    this.loaded = true;
+    Logger.info(`Loaded ${Object.keys(this.strategies).length} site strategies`);
+  }
+
+  /**
+   * Reload strategies, keeping the last good config if the new one is invalid
+   * @returns {Promise<boolean>} True if the new config was applied
+   */
+  async reloadStrategies() {
+    try {
+      const { strategies, sources, errors } = await this.readStrategies();
+
+      if (errors.length > 0) {
+        for (const error of errors) {
+          Logger.error(`Invalid site strategy: ${error}`);
+        }
+        Logger.warn('Strategy reload rejected, keeping the last good configuration');
+        return false;
+      }
+
+      this.strategies = strategies;
+      this.sources = sources;
+      Logger.info(`Reloaded ${Object.keys(this.strategies).length} site strategies`);
+      return true;
+    } catch (error) {
+      Logger.error('Failed to reload site strategies', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Write a JSON file atomically (temp file + rename)
+   * @param {string} filePath - Target path
+   * @param {Object} data - JSON data
+   */
+  async writeJson(filePath, data) {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, `${JSON.stringify(data, null, 2)}\n`);
+    await fs.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Add or replace a strategy and apply it without a restart
+   * Saved as <domain>.json in the strategies directory (or the file that already defines the domain)
+   * @param {string} domain - Site domain
+   * @param {Object} strategy - Strategy configuration
+   * @returns {Promise<Object>} { file, applied } - applied is false if another file blocks the reload
+   */
+  async saveStrategy(domain, strategy) {
+    const entry = { domain, ...strategy };
+    const errors = this.validateStrategy(entry);
+    if (errors.length > 0) {
+      throw new Error(`Invalid strategy for ${domain}:\n${errors.join('\n')}`);
+    }
+
+    const source = this.sources[domain];
+    const file = source && source !== path.basename(CONFIG_PATH) ? source : `${domain}.json`;
+
+    await fs.mkdir(STRATEGIES_DIR, { recursive: true });
+    await this.writeJson(path.join(STRATEGIES_DIR, file), entry);
+    Logger.info(`Strategy for ${domain} saved to ${file}`);
+
+    return { file, applied: await this.reloadStrategies() };
+  }
+
+  /**
+   * Remove a strategy from the strategies directory, and hide a built-in one
+   * The built-in config ships with the image, so a built-in strategy is hidden by a tombstone file
+   * ({ "domain": ..., "removed": true }) in the strategies directory instead of being edited out
+   * @param {string} domain - Site domain
+   * @returns {Promise<Object>} { files, applied } - files the strategy was removed from
+   */
+  async removeStrategy(domain) {
+    const files = [];
+    let hidden = false;
+
+    if (existsSync(STRATEGIES_DIR)) {
+      for (const file of (await fs.readdir(STRATEGIES_DIR)).filter(name => name.endsWith('.json'))) {
+        const filePath = path.join(STRATEGIES_DIR, file);
+        let strategy;
+        try {
+          strategy = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+          continue;
+        }
+        if (strategy.domain !== domain) continue;
+
+        if (strategy.removed === true) {
+          hidden = true;
+        } else {
+          await fs.unlink(filePath);
+          files.push(file);
+        }
+      }
+    }
+
+    const config = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf8'));
+    if (config[domain] && !hidden) {
+      await fs.mkdir(STRATEGIES_DIR, { recursive: true });
+      await this.writeJson(path.join(STRATEGIES_DIR, `${domain}.json`), { domain, removed: true });
+      files.push(path.basename(CONFIG_PATH));
+    }
+
+    if (files.length > 0) {
+      Logger.info(`Strategy for ${domain} removed from ${files.join(', ')}`);
+    }
+    return { files, applied: files.length > 0 && await this.reloadStrategies() };
+  }
+
+  /**
+   * Watch the config file and the strategies directory for changes
+   */
+  watch() {
+    if (this.watchers.length > 0) return;
+
+    const scheduleReload = () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reloadStrategies(), RELOAD_DEBOUNCE_MS);
+    };
+
+    // Watch directories rather than files: editors often replace a file instead of writing it
+    const targets = [
+      { dir: path.dirname(CONFIG_PATH), matches: file => file === path.basename(CONFIG_PATH) }
+    ];
+    if (existsSync(STRATEGIES_DIR)) {
+      targets.push({ dir: STRATEGIES_DIR, matches: file => file.endsWith('.json') });
+    }
+
+    for (const { dir, matches } of targets) {
+      try {
+        const watcher = watch(dir, (eventType, file) => {
+          if (!file || matches(file)) scheduleReload();
+        });
+        watcher.on('error', (error) => {
+          Logger.error(`Strategy watcher failed: ${dir}`, { error: error.message });
+        });
+        this.watchers.push(watcher);
+      } catch (error) {
+        Logger.warn(`Cannot watch strategies in ${dir}`, { error: error.message });
+      }
+    }
+
+    Logger.info(`Watching site strategies: ${targets.map(target => target.dir).join(', ')}`);
+  }
+
+  /**
+   * Stop watching strategy files
+   */
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
   }
 
   /**
@@ -72,6 +369,21 @@ class StrategyEngine {
     return strategy;
   }
 
+  /**
+   * Find the strategy for a host or one of its parent domains, without logging misses
+   * Used to route requests for subdomains (e.g. an image CDN) like their site
+   * @param {string} hostname - Request host
+   * @returns {Object|null} Strategy object or null
+   */
+  findStrategyForHost(hostname) {
+    const parts = hostname.toLowerCase().replace(/^www\./, '').split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      const strategy = this.strategies[parts.slice(i).join('.')];
+      if (strategy) return strategy;
+    }
+    return null;
+  }
+
   /**
    * Get list of all supported domains
    * @returns {Array} Array of domain names
@@ -83,6 +395,18 @@ class StrategyEngine {
     return Object.keys(this.strategies);
   }
 
+  /**
+   * List loaded strategies with the file each one comes from
+   * @returns {Array} Array of {domain, strategy, source} objects
+   */
+  listStrategies() {
+    return this.getSupportedDomains().map(domain => ({
+      domain,
+      strategy: this.strategies[domain],
+      source: this.sources[domain]
+    }));
+  }
+
   /**
    * Check if a domain is supported
    * @param {string} url - URL to check
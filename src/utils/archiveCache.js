@@ -0,0 +1,131 @@
+/**
+ * Archive Cache
+ * Reuses published archives when the same gallery is requested again
+ * Keyed by normalized gallery URL, a hash of the extracted image list and the archive options
+ * Entries are dropped as soon as retention deletes one of their files
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+const JsonStore = require('./jsonStore');
+const retentionManager = require('./retentionManager');
+
+// Configuration
+const DOWNLOADS_DIR = process.env.DOWNLOADS_DIR || '/app/downloads';
+const CACHE_ENABLED = process.env.ARCHIVE_CACHE !== 'false';
+
+// Query parameters that never change the gallery contents
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref)$/i;
+
+class ArchiveCache {
+  constructor() {
+    this.enabled = CACHE_ENABLED;
+    this.store = new JsonStore(path.join(DOWNLOADS_DIR, '.cache.json'));
+    this.entries = {};
+
+    retentionManager.onRemove((fileName) => this.invalidate(fileName));
+  }
+
+  /**
+   * Load the cache index from disk
+   */
+  async load() {
+    this.entries = await this.store.load();
+  }
+
+  /**
+   * Normalize a gallery URL so trivial variations share a cache entry
+   * Lowercases the host, drops www., fragments, tracking params and trailing slashes
+   * @param {string} url - Gallery URL
+   * @returns {string} Normalized URL
+   */
+  normalizeUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+    }
+    parsed.searchParams.sort();
+
+    return parsed.toString();
+  }
+
+  /**
+   * Build the cache key for a gallery
+   * @param {string} url - Gallery URL
+   * @param {Array} imageUrls - Extracted image URLs
+   * @param {Object} options - Archive options (format, volumeSizeMB)
+   * @returns {string} Cache key
+   */
+  buildKey(url, imageUrls, { format, volumeSizeMB = 0 } = {}) {
+    const imageHash = crypto.createHash('sha256').update(imageUrls.join('\n')).digest('hex').substring(0, 16);
+    return `${this.normalizeUrl(url)}|${imageHash}|${format}|${volumeSizeMB || 0}`;
+  }
+
+  /**
+   * Look up a published archive
+   * Entries whose files have disappeared are dropped
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { files, caption, createdAt } or null
+   */
+  async get(key) {
+    if (!this.enabled) return null;
+
+    const entry = this.entries[key];
+    if (!entry) return null;
+
+    const missing = entry.files.some(fileName => !fs.existsSync(path.join(DOWNLOADS_DIR, fileName)));
+    if (missing) {
+      delete this.entries[key];
+      await this.store.save();
+      return null;
+    }
+
+    Logger.info(`Archive cache hit: ${entry.files.join(', ')}`);
+    return entry;
+  }
+
+  /**
+   * Remember a published archive
+   * @param {string} key - Cache key
+   * @param {Array} files - Archive file names inside DOWNLOADS_DIR
+   * @param {string} caption - Caption the archive was sent with
+   */
+  async set(key, files, caption) {
+    if (!this.enabled) return;
+
+    this.entries[key] = { files, caption, createdAt: Date.now() };
+    await this.store.save();
+    Logger.debug(`Archive cached: ${files.join(', ')}`);
+  }
+
+  /**
+   * Drop every entry that references a removed file
+   * @param {string} fileName - Removed file name
+   */
+  async invalidate(fileName) {
+    // Retention may sweep before the bot has loaded the cache
+    await this.load();
+
+    let changed = false;
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (entry.files.includes(fileName)) {
+        delete this.entries[key];
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await this.store.save();
+      Logger.info(`Archive cache invalidated: ${fileName}`);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ArchiveCache();
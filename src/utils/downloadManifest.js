@@ -0,0 +1,152 @@
+/**
+ * Download Manifest
+ * Records the images a job has finished downloading, so a rerun (after a failure or a crash)
+ * skips them instead of fetching the whole gallery again, and the validators (ETag / Last-Modified)
+ * of partial downloads, so a rerun only resumes a .part file if the server still has the same version
+ * A work dir holds manifest.json next to files/, the directory that gets archived
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('./logger');
+const JsonStore = require('./jsonStore');
+
+// Layout of a resumable work dir
+const MANIFEST_FILE = 'manifest.json';
+const FILES_DIR = 'files';
+
+// Completed images are written to disk in batches
+const SAVE_DELAY_MS = 1000;
+
+class DownloadManifest {
+  /**
+   * @param {string} dir - Work dir (see FileManager.getResumableDir)
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.filesDir = path.join(dir, FILES_DIR);
+    this.store = new JsonStore(path.join(dir, MANIFEST_FILE), () => ({ entries: {}, partials: {} }));
+    this.saveTimer = null;
+  }
+
+  /**
+   * Open the manifest of a work dir, creating it if needed
+   * @param {string} dir - Work dir
+   * @returns {Promise<DownloadManifest>}
+   */
+  static async open(dir) {
+    const manifest = new DownloadManifest(dir);
+    await manifest.store.load();
+    // Manifests written before partial downloads were tracked
+    manifest.store.data.partials = manifest.store.data.partials || {};
+    await fs.mkdir(manifest.filesDir, { recursive: true });
+
+    const count = Object.keys(manifest.store.data.entries).length;
+    if (count > 0) {
+      Logger.info(`Resuming ${path.basename(dir)}: ${count} images downloaded earlier`);
+    }
+    return manifest;
+  }
+
+  /**
+   * Manifest key of a planned output path
+   * @param {string} outputPath - Path from ImageDownloader.generateFilename (before the extension is corrected)
+   * @returns {string}
+   */
+  key(outputPath) {
+    return path.relative(this.filesDir, outputPath);
+  }
+
+  /**
+   * Find an image downloaded by an earlier run
+   * The file must still exist with the recorded size
+   * @param {string} outputPath - Planned output path
+   * @param {string} url - Image URL
+   * @returns {Promise<string|null>} Path of the saved image, or null if it has to be downloaded
+   */
+  async getCompleted(outputPath, url) {
+    const entry = this.store.data.entries[this.key(outputPath)];
+    if (!entry || entry.url !== url) return null;
+
+    const filePath = path.join(this.filesDir, entry.file);
+    try {
+      const { size } = await fs.stat(filePath);
+      return size === entry.size ? filePath : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Record a downloaded (and validated) image
+   * @param {string} outputPath - Planned output path
+   * @param {string} url - Image URL
+   * @param {string} imagePath - Path the image was saved to
+   */
+  async markCompleted(outputPath, url, imagePath) {
+    const { size } = await fs.stat(imagePath);
+    this.store.data.entries[this.key(outputPath)] = {
+      url,
+      file: path.relative(this.filesDir, imagePath),
+      size
+    };
+    delete this.store.data.partials[this.key(outputPath)];
+    this.scheduleSave();
+  }
+
+  /**
+   * Get the validator of a partial download started by this or an earlier run
+   * @param {string} outputPath - Planned output path
+   * @param {string} url - Image URL
+   * @returns {string|null} ETag or Last-Modified value for If-Range, or null if there is none
+   */
+  getValidator(outputPath, url) {
+    const partial = this.store.data.partials[this.key(outputPath)];
+    return partial && partial.url === url ? partial.validator : null;
+  }
+
+  /**
+   * Record the validator of the response a partial download is written from
+   * @param {string} outputPath - Planned output path
+   * @param {string} url - Image URL
+   * @param {string|null} validator - ETag or Last-Modified value (null forgets it)
+   */
+  setValidator(outputPath, url, validator) {
+    const key = this.key(outputPath);
+    if (this.getValidator(outputPath, url) === validator) return;
+
+    if (validator) {
+      this.store.data.partials[key] = { url, validator };
+    } else {
+      delete this.store.data.partials[key];
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Write changes to disk after a short delay, batching completions
+   */
+  scheduleSave() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => {
+        this.saveTimer = null;
+        this.store.save().catch(() => {});
+      }, SAVE_DELAY_MS);
+    }
+  }
+
+  /**
+   * Write pending changes now
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.store.save();
+  }
+}
+
+DownloadManifest.MANIFEST_FILE = MANIFEST_FILE;
+
+module.exports = DownloadManifest;
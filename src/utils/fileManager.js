@@ -6,7 +6,12 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const Logger = require('./logger');
+const DownloadManifest = require('./downloadManifest');
+
+// Work dirs with a download manifest are kept this long after their last change, so a rerun can resume
+const RESUME_RETENTION_MS = (parseFloat(process.env.RESUME_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
 
 class FileManager {
   /**
@@ -70,8 +75,26 @@ class FileManager {
     return dirPath;
   }
 
+  /**
+   * Get the work dir for a resumable download
+   * The same key (e.g. user + gallery URL) always maps to the same directory
+   * @param {string} prefix - Prefix for directory name
+   * @param {string} key - Identifies the download
+   * @returns {string} Path to the directory (created if needed)
+   */
+  static async getResumableDir(prefix, key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+    const dirPath = path.join(process.cwd(), 'temp', `${prefix}_${hash}`);
+
+    await this.ensureDir(dirPath);
+    Logger.info(`Work directory: ${path.basename(dirPath)}`);
+
+    return dirPath;
+  }
+
   /**
    * Clean up old temporary directories (older than 1 hour)
+   * Resumable work dirs are kept for RESUME_RETENTION_HOURS after their manifest last changed
    */
   static async cleanupOldTempDirs() {
     const tempDir = path.join(process.cwd(), 'temp');
@@ -88,9 +111,10 @@ class FileManager {
         if (entry.isDirectory()) {
           const dirPath = path.join(tempDir, entry.name);
           const stats = await fs.stat(dirPath);
-          const age = now - stats.mtimeMs;
+          const manifestStats = await fs.stat(path.join(dirPath, DownloadManifest.MANIFEST_FILE)).catch(() => null);
+          const age = now - Math.max(stats.mtimeMs, manifestStats?.mtimeMs || 0);
           
-          if (age > oneHour) {
+          if (age > (manifestStats ? RESUME_RETENTION_MS : oneHour)) {
             await this.deleteDir(dirPath);
             Logger.info(`Cleaned up old temp directory: ${entry.name}`);
           }
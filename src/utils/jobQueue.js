@@ -0,0 +1,287 @@
+/**
+ * Job Queue
+ * Persistent FIFO queue for gallery download jobs
+ * Jobs are stored in a JSON file under DOWNLOADS_DIR and resume after a restart
+ * A global worker limit bounds how many jobs run at the same time
+ */
+
+const path = require('path');
+const Logger = require('./logger');
+const JsonStore = require('./jsonStore');
+
+// Configuration
+const DOWNLOADS_DIR = process.env.DOWNLOADS_DIR || '/app/downloads';
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS) || 2;
+
+// Finished jobs are kept this long for status lookups
+const JOB_HISTORY_MS = 24 * 60 * 60 * 1000;
+
+// Job states
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  AWAITING_INPUT: 'awaiting_input',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+class JobQueue {
+  constructor() {
+    this.store = new JsonStore(path.join(DOWNLOADS_DIR, '.jobs.json'), () => ({ jobs: [] }));
+    this.jobs = [];
+    this.maxConcurrent = MAX_CONCURRENT_JOBS;
+    this.running = 0;
+    this.controllers = new Map();
+    this.handler = null;
+    this.onPositionChange = null;
+  }
+
+  /**
+   * Load persisted jobs, requeueing anything that was running at shutdown
+   * @returns {Promise<Array>} Jobs that will be resumed
+   */
+  async load() {
+    const data = await this.store.load();
+    const now = Date.now();
+
+    // Drop old finished jobs
+    this.jobs = data.jobs.filter(job =>
+      this.isActive(job) || now - (job.finishedAt || job.createdAt) < JOB_HISTORY_MS
+    );
+    data.jobs = this.jobs;
+
+    const resumed = [];
+    for (const job of this.jobs) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.status = JOB_STATUS.QUEUED;
+        job.resumed = true;
+        resumed.push(job);
+      }
+    }
+
+    await this.store.save();
+    Logger.info(`Job queue loaded: ${this.getQueued().length} queued (${resumed.length} resumed)`);
+    return resumed;
+  }
+
+  /**
+   * Check whether a job is still waiting, running or paused for user input
+   * @param {Object} job - Job record
+   * @returns {boolean}
+   */
+  isActive(job) {
+    return job.status === JOB_STATUS.QUEUED ||
+      job.status === JOB_STATUS.RUNNING ||
+      job.status === JOB_STATUS.AWAITING_INPUT;
+  }
+
+  /**
+   * Generate a unique job ID
+   * @returns {string}
+   */
+  generateId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+  }
+
+  /**
+   * Add a job to the end of the queue
+   * @param {Object} params - Job fields (type, userId, chatId, url, ...)
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueue(params) {
+    const job = {
+      id: this.generateId(),
+      status: JOB_STATUS.QUEUED,
+      createdAt: Date.now(),
+      ...params
+    };
+
+    this.jobs.push(job);
+    await this.store.save();
+    Logger.info(`Job queued: ${job.id} (${job.type}) for user ${job.userId}`);
+
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Update job fields and persist
+   * @param {Object} job - Job record
+   * @param {Object} changes - Fields to update
+   */
+  async update(job, changes) {
+    Object.assign(job, changes);
+    await this.store.save();
+  }
+
+  /**
+   * Pause a running job until the user responds
+   * The worker slot is released when the handler returns
+   * @param {Object} job - Job record
+   * @param {Object} changes - Fields to store with the paused job
+   */
+  async suspend(job, changes = {}) {
+    await this.update(job, { ...changes, status: JOB_STATUS.AWAITING_INPUT });
+    Logger.info(`Job awaiting user input: ${job.id}`);
+  }
+
+  /**
+   * Put a paused job back in line (keeping its original place)
+   * @param {Object} job - Job record
+   * @param {Object} changes - Fields to update
+   */
+  async resume(job, changes = {}) {
+    await this.update(job, { ...changes, status: JOB_STATUS.QUEUED, notifiedPosition: null });
+    Logger.info(`Job resumed: ${job.id}`);
+    this.pump();
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|undefined}
+   */
+  getJob(jobId) {
+    return this.jobs.find(job => job.id === jobId);
+  }
+
+  /**
+   * Get queued jobs in processing order
+   * @returns {Array}
+   */
+  getQueued() {
+    return this.jobs.filter(job => job.status === JOB_STATUS.QUEUED);
+  }
+
+  /**
+   * Get a user's active (queued or running) job
+   * @param {number} userId - Telegram user ID
+   * @returns {Object|undefined}
+   */
+  getActiveJob(userId) {
+    return this.jobs.find(job => job.userId === userId && this.isActive(job));
+  }
+
+  /**
+   * Get 1-based position of a queued job (0 when running or finished)
+   * @param {Object} job - Job record
+   * @returns {number}
+   */
+  getPosition(job) {
+    return this.getQueued().indexOf(job) + 1;
+  }
+
+  /**
+   * Start processing jobs
+   * @param {Object} options - Queue callbacks
+   * @param {Function} options.handler - Async function that processes a job (job, signal)
+   * @param {Function} options.onPositionChange - Called with (job, position) for waiting jobs
+   */
+  start({ handler, onPositionChange = null }) {
+    this.handler = handler;
+    this.onPositionChange = onPositionChange;
+    Logger.info(`Job queue started (max ${this.maxConcurrent} concurrent jobs)`);
+    this.pump();
+  }
+
+  /**
+   * Start queued jobs while worker slots are free
+   */
+  pump() {
+    if (!this.handler) return;
+
+    while (this.running < this.maxConcurrent) {
+      const job = this.getQueued()[0];
+      if (!job) break;
+      this.run(job);
+    }
+
+    this.notifyPositions();
+  }
+
+  /**
+   * Tell waiting jobs their position in line when it changed
+   */
+  notifyPositions() {
+    if (!this.onPositionChange) return;
+
+    this.getQueued().forEach((job, index) => {
+      const position = index + 1;
+      if (job.notifiedPosition === position) return;
+      job.notifiedPosition = position;
+
+      Promise.resolve(this.onPositionChange(job, position)).catch((error) => {
+        Logger.debug(`Position update failed for job ${job.id}`, { error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Cancel a queued, paused or running job
+   * Waiting jobs are removed from the line; running jobs are aborted through their signal
+   * @param {Object} job - Job record
+   * @returns {Promise<boolean>} True if the job was active
+   */
+  async cancel(job) {
+    if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.AWAITING_INPUT) {
+      await this.update(job, { status: JOB_STATUS.CANCELLED, finishedAt: Date.now() });
+      Logger.info(`Job cancelled while waiting: ${job.id}`);
+      this.notifyPositions();
+      return true;
+    }
+
+    if (job.status === JOB_STATUS.RUNNING) {
+      const controller = this.controllers.get(job.id);
+      if (controller) {
+        Logger.info(`Aborting running job: ${job.id}`);
+        controller.abort();
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Run a single job
+   * @param {Object} job - Job record
+   */
+  async run(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    this.running++;
+
+    try {
+      await this.update(job, { status: JOB_STATUS.RUNNING, startedAt: Date.now() });
+      Logger.info(`Job started: ${job.id} (${job.type})`);
+
+      await this.handler(job, controller.signal);
+
+      // Handlers may pause the job for user input instead of finishing it
+      if (job.status === JOB_STATUS.RUNNING) {
+        await this.update(job, { status: JOB_STATUS.DONE, finishedAt: Date.now() });
+        Logger.info(`Job finished: ${job.id}`);
+      }
+    } catch (error) {
+      if (controller.signal.aborted) {
+        await this.update(job, { status: JOB_STATUS.CANCELLED, finishedAt: Date.now() }).catch(() => {});
+        Logger.info(`Job cancelled: ${job.id}`);
+      } else {
+        await this.update(job, { status: JOB_STATUS.FAILED, finishedAt: Date.now(), error: error.message })
+          .catch(() => {});
+        Logger.error(`Job failed: ${job.id}`, { error: error.message });
+      }
+    } finally {
+      this.controllers.delete(job.id);
+      this.running--;
+      this.pump();
+    }
+  }
+}
+
+// Export singleton instance
+const jobQueue = new JobQueue();
+jobQueue.JOB_STATUS = JOB_STATUS;
+
+module.exports = jobQueue;
@@ -0,0 +1,67 @@
+/**
+ * JSON Store
+ * Small JSON-file persistence used for bot state (queue, retention index, ...)
+ * Writes are serialized and atomic (temp file + rename)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('./logger');
+
+class JsonStore {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   * @param {Function} createDefault - Returns the initial data when the file is missing
+   */
+  constructor(filePath, createDefault = () => ({})) {
+    this.filePath = filePath;
+    this.createDefault = createDefault;
+    this.data = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load data from disk (once)
+   * @returns {Promise<Object>} Loaded data
+   */
+  async load() {
+    if (this.data) return this.data;
+
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      this.data = JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        Logger.warn(`State file is unreadable, starting empty: ${path.basename(this.filePath)}`, {
+          error: error.message
+        });
+      }
+      this.data = this.createDefault();
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Persist current data
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const snapshot = JSON.stringify(this.data, null, 2);
+    const tmpPath = `${this.filePath}.tmp`;
+
+    const write = this.writing.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, this.filePath);
+    });
+
+    this.writing = write.catch((error) => {
+      Logger.error(`Failed to write state file: ${path.basename(this.filePath)}`, { error: error.message });
+    });
+
+    return write;
+  }
+}
+
+module.exports = JsonStore;
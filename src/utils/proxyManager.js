@@ -0,0 +1,234 @@
+/**
+ * Proxy Manager
+ * Routes outbound requests through HTTP / HTTPS / SOCKS5 proxies
+ * Proxies are set globally (PROXY_URLS) or per domain (strategy "proxies"), optionally rotated,
+ * and a proxy that keeps failing is skipped for a cooldown period
+ */
+
+const axios = require('axios');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const Logger = require('./logger');
+const strategyEngine = require('../scrapers/strategyEngine');
+
+// Configuration
+const GLOBAL_PROXIES = (process.env.PROXY_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const ROTATE = process.env.PROXY_ROTATE === 'true';
+const MAX_FAILURES = parseInt(process.env.PROXY_MAX_FAILURES) || 3;
+const COOLDOWN_MS = (parseFloat(process.env.PROXY_COOLDOWN_MINUTES) || 10) * 60 * 1000;
+
+// Proxy protocols the agents support (same as the strategy schema)
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks5:', 'socks5h:'];
+
+// Errors that mean the connection (not the target site) failed
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EHOSTUNREACH', 'ENOTFOUND', 'EPIPE'];
+const BROWSER_PROXY_ERROR = /ERR_(PROXY|TUNNEL|SOCKS)_|ERR_NO_SUPPORTED_PROXIES/;
+
+class ProxyManager {
+  constructor() {
+    this.health = {};
+    this.agents = {};
+    this.nextIndex = {};
+  }
+
+  /**
+   * Proxy URL without credentials, for logs
+   * @param {string} proxyUrl - Proxy URL
+   * @returns {string}
+   */
+  describe(proxyUrl) {
+    const { protocol, host } = new URL(proxyUrl);
+    return `${protocol}//${host}`;
+  }
+
+  /**
+   * Check a proxy URL
+   * @param {string} proxyUrl - Proxy URL
+   * @returns {string|null} What is wrong with it, or null if it is usable
+   */
+  checkProxyUrl(proxyUrl) {
+    let parsed;
+    try {
+      parsed = new URL(proxyUrl);
+    } catch (error) {
+      return 'not a valid URL';
+    }
+    if (!PROXY_PROTOCOLS.includes(parsed.protocol)) {
+      return `unsupported protocol ${parsed.protocol} (use ${PROXY_PROTOCOLS.map(protocol => `${protocol}//`).join(', ')})`;
+    }
+    if (!parsed.hostname || (parsed.pathname !== '/' && parsed.pathname !== '') || parsed.search) {
+      return 'expected protocol://[user:pass@]host:port';
+    }
+    return null;
+  }
+
+  /**
+   * Check PROXY_URLS and the strategies' proxies on startup
+   * A malformed URL would make every request through it throw, so it stops the bot; SOCKS5 proxies
+   * with credentials only get a warning, they work for downloads but Chrome cannot use them
+   */
+  validate() {
+    const errors = GLOBAL_PROXIES
+      .map((proxyUrl, index) => ({ index, error: this.checkProxyUrl(proxyUrl) }))
+      .filter(({ error }) => error)
+      .map(({ index, error }) => `PROXY_URLS entry ${index + 1}: ${error}`);
+    if (errors.length > 0) {
+      throw new Error(`Invalid proxy configuration:\n${errors.join('\n')}`);
+    }
+
+    const lists = [['PROXY_URLS', GLOBAL_PROXIES]];
+    for (const [domain, strategy] of Object.entries(strategyEngine.strategies)) {
+      if (strategy.proxies) lists.push([domain, strategy.proxies]);
+    }
+    for (const [owner, proxies] of lists) {
+      for (const proxyUrl of proxies.filter(url => this.isBrowserUnsupported(url))) {
+        Logger.warn(`${owner}: ${this.describe(proxyUrl)} has credentials, which Chrome does not support for SOCKS5; pages rendered in the browser will fail through it`);
+      }
+    }
+  }
+
+  /**
+   * Check whether the headless browser can use a proxy (Chrome has no SOCKS5 authentication)
+   * @param {string} proxyUrl - Proxy URL
+   * @returns {boolean} True for SOCKS5 proxies with a username
+   */
+  isBrowserUnsupported(proxyUrl) {
+    const { protocol, username } = new URL(proxyUrl);
+    return protocol.startsWith('socks') && Boolean(username);
+  }
+
+  /**
+   * Get the proxy list for a URL: the strategy's "proxies" for its domain (or a parent domain),
+   * else PROXY_URLS; an empty "proxies" list means a direct connection
+   * @param {string} url - Request URL
+   * @returns {Array} Proxy URLs
+   */
+  getProxyList(url) {
+    const strategy = strategyEngine.loaded ? strategyEngine.findStrategyForHost(new URL(url).hostname) : null;
+    return strategy?.proxies || GLOBAL_PROXIES;
+  }
+
+  /**
+   * Check whether a proxy is usable (not cooling down after repeated failures)
+   * @param {string} proxyUrl - Proxy URL
+   * @returns {boolean}
+   */
+  isHealthy(proxyUrl) {
+    const health = this.health[proxyUrl];
+    return !health || health.failures < MAX_FAILURES || Date.now() >= health.retryAt;
+  }
+
+  /**
+   * Pick the proxy for a request
+   * Rotation cycles through healthy proxies; otherwise the first healthy one is used (failover).
+   * When every proxy is unhealthy, the one back soonest is used rather than a direct connection
+   * @param {string} url - Request URL
+   * @param {Array} exclude - Proxies already tried for this request
+   * @returns {string|null} Proxy URL, or null for a direct connection
+   */
+  getProxy(url, exclude = []) {
+    const proxies = this.getProxyList(url).filter(proxyUrl => !exclude.includes(proxyUrl));
+    if (proxies.length === 0) return null;
+
+    const healthy = proxies.filter(proxyUrl => this.isHealthy(proxyUrl));
+    if (healthy.length === 0) {
+      const soonest = [...proxies].sort((a, b) => this.health[a].retryAt - this.health[b].retryAt)[0];
+      Logger.warn(`All proxies for ${new URL(url).hostname} are unhealthy, trying ${this.describe(soonest)}`);
+      return soonest;
+    }
+    if (!ROTATE) return healthy[0];
+
+    const listKey = proxies.join(',');
+    const index = (this.nextIndex[listKey] || 0) % healthy.length;
+    this.nextIndex[listKey] = index + 1;
+    return healthy[index];
+  }
+
+  /**
+   * Get (and cache) the agent for a proxy
+   * @param {string} proxyUrl - Proxy URL
+   * @returns {Agent} Agent for both http and https targets
+   */
+  getAgent(proxyUrl) {
+    if (!this.agents[proxyUrl]) {
+      this.agents[proxyUrl] = proxyUrl.startsWith('socks')
+        ? new SocksProxyAgent(proxyUrl)
+        : new HttpsProxyAgent(proxyUrl, { keepAlive: true });
+    }
+    return this.agents[proxyUrl];
+  }
+
+  /**
+   * Record a successful request through a proxy
+   * @param {string} proxyUrl - Proxy URL (null = direct, ignored)
+   */
+  reportSuccess(proxyUrl) {
+    if (!proxyUrl || !this.health[proxyUrl]) return;
+    if (this.health[proxyUrl].failures >= MAX_FAILURES) {
+      Logger.info(`Proxy recovered: ${this.describe(proxyUrl)}`);
+    }
+    delete this.health[proxyUrl];
+  }
+
+  /**
+   * Record a failed request; connection-level failures count towards marking the proxy unhealthy
+   * @param {string} proxyUrl - Proxy URL (null = direct, ignored)
+   * @param {Error} error - axios or Puppeteer error
+   * @returns {boolean} True if the proxy (not the target site) failed
+   */
+  reportError(proxyUrl, error) {
+    if (!proxyUrl) return false;
+
+    const isProxyError = error.response
+      ? error.response.status === 407
+      : NETWORK_ERROR_CODES.includes(error.code) || BROWSER_PROXY_ERROR.test(error.message);
+    if (!isProxyError) return false;
+
+    const health = this.health[proxyUrl] || { failures: 0, retryAt: 0 };
+    health.failures++;
+    this.health[proxyUrl] = health;
+
+    if (health.failures >= MAX_FAILURES) {
+      health.retryAt = Date.now() + COOLDOWN_MS;
+      Logger.warn(
+        `Proxy marked unhealthy after ${health.failures} failures: ${this.describe(proxyUrl)}`,
+        { error: error.message }
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Run an axios request through the proxy for its URL
+   * A proxy that fails to connect is skipped and the next one in the list is tried
+   * @param {Object} config - axios request config (with url)
+   * @returns {Promise<Object>} axios response
+   */
+  async request(config) {
+    const tried = [];
+
+    for (;;) {
+      const proxyUrl = this.getProxy(config.url, tried);
+      if (!proxyUrl) {
+        return axios(config);
+      }
+      tried.push(proxyUrl);
+
+      const agent = this.getAgent(proxyUrl);
+      try {
+        const response = await axios({ ...config, proxy: false, httpAgent: agent, httpsAgent: agent });
+        this.reportSuccess(proxyUrl);
+        return response;
+      } catch (error) {
+        const proxyFailed = this.reportError(proxyUrl, error);
+        if (!proxyFailed || config.signal?.aborted || tried.length === this.getProxyList(config.url).length) {
+          throw error;
+        }
+        Logger.warn(`Proxy ${this.describe(proxyUrl)} failed, trying the next one`, { error: error.message });
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ProxyManager();
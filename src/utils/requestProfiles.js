@@ -0,0 +1,285 @@
+/**
+ * Request Profiles
+ * Per-domain request settings shared by every fetcher (jsdom, image downloads, Puppeteer)
+ * A profile sets custom headers, a User-Agent, a Netscape cookies.txt file and an optional
+ * scripted Puppeteer login; cookies captured in the browser are replayed on axios requests
+ */
+
+const fs = require('fs').promises;
+const { existsSync } = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+// Configuration
+const PROFILES_DIR = process.env.REQUEST_PROFILES_DIR || path.join(process.cwd(), 'profiles');
+const PROFILES_FILE = 'profiles.json';
+
+// Default User-Agent for every fetcher
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Actions a login step can perform (run by PuppeteerScraper.login)
+const LOGIN_ACTIONS = ['fill', 'click', 'waitFor'];
+
+// Login sessions are renewed after this long unless the profile sets login.maxAgeMinutes
+const DEFAULT_SESSION_MINUTES = 12 * 60;
+
+class RequestProfiles {
+  constructor() {
+    this.profiles = {};
+    this.cookies = [];
+    this.sessions = {};
+  }
+
+  /**
+   * Replace ${VAR} with environment variables (keeps secrets out of profiles.json)
+   * @param {*} value - Any JSON value
+   * @returns {*} Value with variables expanded in every string
+   */
+  expandEnv(value) {
+    if (typeof value === 'string') {
+      return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+        if (process.env[name] === undefined) {
+          throw new Error(`environment variable ${name} is not set`);
+        }
+        return process.env[name];
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.expandEnv(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.expandEnv(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Parse a Netscape cookies.txt file (as exported by browser extensions, curl or yt-dlp)
+   * @param {string} text - File contents
+   * @returns {Array} Cookies ({ name, value, domain, path, expires, secure, httpOnly })
+   */
+  parseCookiesTxt(text) {
+    const cookies = [];
+
+    for (let line of text.split(/\r?\n/)) {
+      let httpOnly = false;
+      if (line.startsWith('#HttpOnly_')) {
+        httpOnly = true;
+        line = line.slice('#HttpOnly_'.length);
+      }
+      if (!line.trim() || line.startsWith('#')) continue;
+
+      const fields = line.split('\t');
+      if (fields.length < 7) continue;
+
+      const [domain, , cookiePath, secure, expires, name, ...value] = fields;
+      cookies.push({
+        name,
+        value: value.join('\t'),
+        domain: domain.toLowerCase(),
+        path: cookiePath || '/',
+        expires: Number(expires) || -1,
+        secure: secure.toUpperCase() === 'TRUE',
+        httpOnly
+      });
+    }
+
+    return cookies;
+  }
+
+  /**
+   * Load profiles.json and the cookie files it references
+   * Missing profiles directory = no profiles; invalid profiles fail with every error listed
+   */
+  async load() {
+    const filePath = path.join(PROFILES_DIR, PROFILES_FILE);
+    this.profiles = {};
+    this.cookies = [];
+
+    if (!existsSync(filePath)) {
+      Logger.debug(`No request profiles at ${filePath}`);
+      return;
+    }
+
+    const errors = [];
+    let config;
+    try {
+      config = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not load request profiles: ${error.message}`);
+    }
+
+    for (const [domain, rawProfile] of Object.entries(config)) {
+      if (domain.startsWith('_')) continue;
+
+      try {
+        const profile = this.expandEnv(rawProfile);
+        if (profile.login) {
+          if (!profile.login.url || !Array.isArray(profile.login.steps)) {
+            throw new Error('login needs a "url" and a "steps" array');
+          }
+          profile.login.steps.forEach((step, index) => {
+            if (!LOGIN_ACTIONS.some(action => step[action])) {
+              throw new Error(`login step ${index + 1} needs one of: ${LOGIN_ACTIONS.join(', ')}`);
+            }
+          });
+        }
+
+        if (profile.cookiesFile) {
+          const text = await fs.readFile(path.resolve(PROFILES_DIR, profile.cookiesFile), 'utf8');
+          this.addCookies(this.parseCookiesTxt(text));
+        }
+
+        this.profiles[domain] = profile;
+      } catch (error) {
+        errors.push(`${domain}: ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      for (const error of errors) {
+        Logger.error(`Invalid request profile: ${error}`);
+      }
+      throw new Error(`Could not load request profiles:\n${errors.join('\n')}`);
+    }
+
+    Logger.info(
+      `Loaded ${Object.keys(this.profiles).length} request profiles (${this.cookies.length} cookies)`
+    );
+  }
+
+  /**
+   * Find the profile for a URL (profile domains also cover their subdomains and "aliases")
+   * @param {string} url - Request URL
+   * @returns {Object|null} { domain, profile } or null
+   */
+  getProfile(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+
+    const matches = host => hostname === host || hostname.endsWith(`.${host}`);
+    for (const [domain, profile] of Object.entries(this.profiles)) {
+      if (matches(domain) || (profile.aliases || []).some(matches)) {
+        return { domain, profile };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build request headers: the fetcher's defaults, then the profile's User-Agent and headers, then cookies
+   * @param {string} url - Request URL
+   * @param {Object} defaults - Fetcher's own headers
+   * @returns {Object} Headers
+   */
+  getHeaders(url, defaults = {}) {
+    const profile = this.getProfile(url)?.profile || {};
+    const headers = {
+      ...defaults,
+      'User-Agent': profile.userAgent || DEFAULT_USER_AGENT,
+      ...profile.headers
+    };
+
+    const cookie = this.getCookieHeader(url);
+    if (cookie) {
+      headers.Cookie = cookie;
+    }
+    return headers;
+  }
+
+  /**
+   * Get the User-Agent for a URL
+   * @param {string} url - Page URL
+   * @returns {string}
+   */
+  getUserAgent(url) {
+    return this.getProfile(url)?.profile.userAgent || DEFAULT_USER_AGENT;
+  }
+
+  /**
+   * Add or replace cookies in the jar (same name, domain and path = same cookie)
+   * @param {Array} cookies - Cookies in cookies.txt / Puppeteer shape
+   */
+  addCookies(cookies) {
+    for (const cookie of cookies) {
+      const entry = {
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain.toLowerCase(),
+        path: cookie.path || '/',
+        expires: cookie.expires ?? -1,
+        secure: Boolean(cookie.secure),
+        httpOnly: Boolean(cookie.httpOnly)
+      };
+
+      this.cookies = this.cookies.filter(existing =>
+        !(existing.name === entry.name && existing.domain === entry.domain && existing.path === entry.path)
+      );
+      this.cookies.push(entry);
+    }
+  }
+
+  /**
+   * Get the unexpired cookies that apply to a URL
+   * @param {string} url - Request URL
+   * @returns {Array} Cookies
+   */
+  getCookies(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return [];
+    }
+
+    const hostname = target.hostname.toLowerCase();
+    const now = Date.now() / 1000;
+
+    return this.cookies.filter((cookie) => {
+      const domain = cookie.domain.replace(/^\./, '');
+      const domainMatches = hostname === domain || hostname.endsWith(`.${domain}`);
+      return domainMatches &&
+        target.pathname.startsWith(cookie.path) &&
+        (!cookie.secure || target.protocol === 'https:') &&
+        (cookie.expires <= 0 || cookie.expires > now);
+    });
+  }
+
+  /**
+   * Build a Cookie header for a URL
+   * @param {string} url - Request URL
+   * @returns {string} Header value ('' if no cookies apply)
+   */
+  getCookieHeader(url) {
+    return this.getCookies(url).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  /**
+   * Check whether a URL's profile has a login that must run (again) before scraping
+   * @param {string} url - Page URL
+   * @returns {boolean}
+   */
+  needsLogin(url) {
+    const match = this.getProfile(url);
+    if (!match?.profile.login) return false;
+
+    const maxAgeMs = (match.profile.login.maxAgeMinutes || DEFAULT_SESSION_MINUTES) * 60 * 1000;
+    const loggedInAt = this.sessions[match.domain];
+    return !loggedInAt || Date.now() - loggedInAt > maxAgeMs;
+  }
+
+  /**
+   * Record a successful login
+   * @param {string} domain - Profile domain
+   */
+  markLoggedIn(domain) {
+    this.sessions[domain] = Date.now();
+  }
+}
+
+// Export singleton instance
+module.exports = new RequestProfiles();
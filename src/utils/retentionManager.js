@@ -0,0 +1,258 @@
+/**
+ * Retention Manager
+ * Expires published archives in the downloads directory
+ * Enforces a time-to-live and a total disk usage cap (oldest archives evicted first)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('./logger');
+const FileManager = require('./fileManager');
+const JsonStore = require('./jsonStore');
+
+// Configuration
+const DOWNLOADS_DIR = process.env.DOWNLOADS_DIR || '/app/downloads';
+const RETENTION_HOURS = parseFloat(process.env.DOWNLOAD_RETENTION_HOURS) || 24;
+const MAX_SIZE_BYTES = (parseFloat(process.env.DOWNLOADS_MAX_SIZE_GB) || 0) * 1024 * 1024 * 1024;
+const SWEEP_INTERVAL_MS = (parseFloat(process.env.RETENTION_SWEEP_MINUTES) || 15) * 60 * 1000;
+
+// Publish times are tracked in a hidden index next to the archives
+const INDEX_FILE = '.retention.json';
+
+// Volume suffix of split archives (name.zip.001, name.zip.002, ...)
+const VOLUME_SUFFIX = /\.\d{3}$/;
+
+// Hidden files archives are written to before they are published (.name.zip.partial, .name.zip.partial.001)
+const PARTIAL_FILE = /^\..+\.partial(\.\d{3})?$/;
+
+class RetentionManager {
+  constructor() {
+    this.downloadsDir = DOWNLOADS_DIR;
+    this.retentionHours = RETENTION_HOURS;
+    this.maxSizeBytes = MAX_SIZE_BYTES;
+    this.store = new JsonStore(path.join(DOWNLOADS_DIR, INDEX_FILE));
+    this.entries = {};
+    this.timer = null;
+    this.pending = Promise.resolve();
+    this.removeListeners = [];
+  }
+
+  /**
+   * Subscribe to archive removals (expired, evicted or already gone)
+   * @param {Function} listener - Called with the removed file name
+   */
+  onRemove(listener) {
+    this.removeListeners.push(listener);
+  }
+
+  /**
+   * Notify subscribers that an archive is gone
+   * @param {string} fileName - Removed file name
+   */
+  async notifyRemoved(fileName) {
+    for (const listener of this.removeListeners) {
+      try {
+        await listener(fileName);
+      } catch (error) {
+        Logger.warn(`Retention listener failed for ${fileName}`, { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Run index mutations one after another
+   * @param {Function} fn - Async function to run exclusively
+   * @returns {Promise<any>}
+   */
+  exclusive(fn) {
+    const run = this.pending.then(fn);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load the retention index from disk
+   */
+  async load() {
+    this.entries = await this.store.load();
+  }
+
+  /**
+   * Persist the retention index
+   */
+  async save() {
+    await this.store.save();
+  }
+
+  /**
+   * Record that an archive was published
+   * @param {string} fileName - File name inside the downloads directory
+   * @param {number} publishedAt - Publish timestamp in ms
+   */
+  async register(fileName, publishedAt = Date.now()) {
+    return this.exclusive(async () => {
+      await this.load();
+      this.entries[fileName] = { publishedAt };
+      await this.save();
+      Logger.debug(`Retention registered: ${fileName}`);
+    });
+  }
+
+  /**
+   * Get expiry time of a published archive
+   * @param {string} fileName - File name inside the downloads directory
+   * @returns {number|null} Expiry timestamp in ms
+   */
+  getExpiry(fileName) {
+    const entry = this.entries[fileName];
+    return entry ? entry.publishedAt + this.retentionHours * 60 * 60 * 1000 : null;
+  }
+
+  /**
+   * Delete expired archives and enforce the disk usage cap
+   * @returns {Promise<Object>} Sweep results
+   */
+  async sweep() {
+    return this.exclusive(async () => {
+      await this.load();
+      await FileManager.ensureDir(this.downloadsDir);
+
+      const now = Date.now();
+      const ttl = this.retentionHours * 60 * 60 * 1000;
+      const dirents = await fs.readdir(this.downloadsDir, { withFileTypes: true });
+      const files = [];
+      const publishing = new Set();
+
+      for (const dirent of dirents) {
+        // Archives and volumes left half-written by a crash (see StreamingArchiver.downloadToArchive)
+        if (dirent.isFile() && PARTIAL_FILE.test(dirent.name)) {
+          const partialPath = path.join(this.downloadsDir, dirent.name);
+          const stats = await fs.stat(partialPath);
+          if (now - stats.mtimeMs > ttl) await FileManager.deleteFile(partialPath);
+          continue;
+        }
+
+        // Skip hidden state files and anything that is not a plain file
+        if (!dirent.isFile() || dirent.name.startsWith('.')) continue;
+
+        const stats = await fs.stat(path.join(this.downloadsDir, dirent.name));
+
+        // Files published before retention existed fall back to their mtime; a recent unrecorded file
+        // may still be on its way in (archives are registered once complete), so its archive is left alone
+        if (!this.entries[dirent.name]) {
+          if (now - stats.mtimeMs < SWEEP_INTERVAL_MS) {
+            publishing.add(dirent.name.replace(VOLUME_SUFFIX, ''));
+            continue;
+          }
+          this.entries[dirent.name] = { publishedAt: stats.mtimeMs };
+        }
+
+        files.push({
+          name: dirent.name,
+          size: stats.size,
+          publishedAt: this.entries[dirent.name].publishedAt
+        });
+      }
+
+      // Forget entries whose files are already gone
+      const present = new Set(files.map(file => file.name));
+      for (const name of Object.keys(this.entries)) {
+        if (!present.has(name)) {
+          delete this.entries[name];
+          await this.notifyRemoved(name);
+        }
+      }
+
+      // Volumes of a split archive (name.zip.001, name.zip.002, ...) are one download: they expire
+      // and are evicted together, by the publish time of the first
+      const archives = new Map();
+      for (const file of files) {
+        const key = file.name.replace(VOLUME_SUFFIX, '');
+        if (publishing.has(key)) continue;
+        if (!archives.has(key)) {
+          archives.set(key, { files: [], size: 0, publishedAt: file.publishedAt });
+        }
+        const archive = archives.get(key);
+        archive.files.push(file);
+        archive.size += file.size;
+        archive.publishedAt = Math.min(archive.publishedAt, file.publishedAt);
+      }
+
+      const results = { deleted: 0, freedBytes: 0, remaining: 0 };
+      const remove = async (archive, reason) => {
+        for (const file of archive.files) {
+          await FileManager.deleteFile(path.join(this.downloadsDir, file.name));
+          delete this.entries[file.name];
+          await this.notifyRemoved(file.name);
+          results.deleted++;
+          results.freedBytes += file.size;
+        }
+        Logger.info(`Retention removed ${archive.files.map(file => file.name).join(', ')} (${reason})`);
+      };
+
+      // Oldest first, so both passes evict in publish order
+      const sorted = [...archives.values()].sort((a, b) => a.publishedAt - b.publishedAt);
+
+      const kept = [];
+      for (const archive of sorted) {
+        if (now - archive.publishedAt > ttl) {
+          await remove(archive, 'expired');
+        } else {
+          kept.push(archive);
+        }
+      }
+
+      if (this.maxSizeBytes > 0) {
+        let totalSize = kept.reduce((sum, archive) => sum + archive.size, 0);
+        while (kept.length > 0 && totalSize > this.maxSizeBytes) {
+          const archive = kept.shift();
+          totalSize -= archive.size;
+          await remove(archive, 'disk cap');
+        }
+      }
+
+      results.remaining = kept.reduce((sum, archive) => sum + archive.files.length, 0);
+      await this.save();
+
+      if (results.deleted > 0) {
+        Logger.info(
+          `Retention sweep: removed ${results.deleted} files, freed ${FileManager.formatBytes(results.freedBytes)}`
+        );
+      }
+
+      return results;
+    });
+  }
+
+  /**
+   * Sweep now and then on a fixed schedule
+   * @param {number} intervalMs - Sweep interval in ms
+   */
+  start(intervalMs = SWEEP_INTERVAL_MS) {
+    if (this.timer) return;
+
+    const run = () => this.sweep().catch((error) => {
+      Logger.error('Retention sweep failed', { error: error.message });
+    });
+
+    run();
+    this.timer = setInterval(run, intervalMs);
+    Logger.info(
+      `Retention started: ${this.retentionHours}h TTL` +
+      (this.maxSizeBytes > 0 ? `, ${FileManager.formatBytes(this.maxSizeBytes)} cap` : '')
+    );
+  }
+
+  /**
+   * Stop scheduled sweeps
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new RetentionManager();
@@ -0,0 +1,57 @@
+/**
+ * User Settings
+ * Persistent per-user preferences (delivery mode, archive format, ...)
+ * Stored in a JSON file under DOWNLOADS_DIR
+ */
+
+const path = require('path');
+const JsonStore = require('./jsonStore');
+
+// Configuration
+const DOWNLOADS_DIR = process.env.DOWNLOADS_DIR || '/app/downloads';
+
+// Settings applied when a user has not chosen otherwise
+const DEFAULT_SETTINGS = {
+  delivery: 'link',
+  format: process.env.ARCHIVE_FORMAT || '7z',
+  volumeSizeMB: parseInt(process.env.ARCHIVE_VOLUME_SIZE_MB) || 0,
+  dedupe: process.env.DEDUPE_MODE || 'off'
+};
+
+class UserSettings {
+  constructor() {
+    this.store = new JsonStore(path.join(DOWNLOADS_DIR, '.settings.json'));
+    this.users = {};
+  }
+
+  /**
+   * Load settings from disk
+   */
+  async load() {
+    this.users = await this.store.load();
+  }
+
+  /**
+   * Get a user's settings merged over the defaults
+   * @param {number} userId - Telegram user ID
+   * @returns {Object} Settings
+   */
+  get(userId) {
+    return { ...DEFAULT_SETTINGS, ...this.users[userId] };
+  }
+
+  /**
+   * Update a user's settings
+   * @param {number} userId - Telegram user ID
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<Object>} Updated settings
+   */
+  async update(userId, changes) {
+    this.users[userId] = { ...this.users[userId], ...changes };
+    await this.store.save();
+    return this.get(userId);
+  }
+}
+
+// Export singleton instance
+module.exports = new UserSettings();
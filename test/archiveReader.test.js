@@ -0,0 +1,137 @@
+/**
+ * Archive Reader tests
+ * Retrying a streamed job: the images of its archive are restored, only the failed one is downloaded again
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DOWNLOADS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-reader-'));
+process.env.DOWNLOADS_DIR = DOWNLOADS_DIR;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const zlib = require('zlib');
+const ArchiveReader = require('../src/downloaders/archiveReader');
+const StreamingArchiver = require('../src/downloaders/streamingArchiver');
+const ImageDownloader = require('../src/downloaders/imageDownloader');
+const ZipCreator = require('../src/downloaders/zipCreator');
+const DownloadManifest = require('../src/utils/downloadManifest');
+
+/**
+ * Build a JPEG-looking body (random bytes, so it does not shrink in tar.gz archives)
+ * @param {number} size - Body size
+ * @returns {Buffer}
+ */
+function jpegBody(size = 4096) {
+  const body = crypto.randomBytes(size);
+  body.set([0xff, 0xd8, 0xff, 0xe0]);
+  return body;
+}
+
+/**
+ * List the entries of a tar.gz archive
+ * @param {Buffer} data - Archive contents
+ * @returns {Map} Entry name -> contents
+ */
+function readTarGz(data) {
+  const tar = zlib.gunzipSync(data);
+  const entries = new Map();
+  for (let offset = 0; offset + 512 <= tar.length;) {
+    const name = tar.toString('utf8', offset, offset + 100).replace(/\0.*$/s, '');
+    if (!name) break;
+    const size = parseInt(tar.toString('latin1', offset + 124, offset + 136).trim(), 8);
+    entries.set(name, tar.subarray(offset + 512, offset + 512 + size));
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+const images = new Map([
+  ['/1.jpg', jpegBody()],
+  ['/2.jpg', jpegBody()],
+  ['/3.jpg', jpegBody()]
+]);
+// Paths answered with 404 until the test makes them available
+const unavailable = new Set();
+const requests = [];
+let baseUrl;
+const server = http.createServer((req, res) => {
+  requests.push(req.url);
+  const body = images.get(req.url);
+  if (!body || unavailable.has(req.url)) {
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    res.end('<html>unavailable</html>');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': body.length });
+  res.end(body);
+});
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(DOWNLOADS_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Stream a gallery with /2.jpg failing, then retry it the way the bot does
+ * @param {string} name - Job name
+ * @param {Object} archiveOptions - StreamingArchiver options (format, volumeSizeMB)
+ * @returns {Promise<Object>} { published, retried, downloads }
+ */
+async function streamAndRetry(name, archiveOptions) {
+  const urls = [...images.keys()].map(url => `${baseUrl}${url}`);
+
+  unavailable.add('/2.jpg');
+  const streamed = await StreamingArchiver.downloadToArchive(
+    [{ name: 'set', urls }], path.join(DOWNLOADS_DIR, name), archiveOptions
+  );
+  assert.deepEqual([streamed.successImages, streamed.failedImages], [2, 1]);
+  unavailable.delete('/2.jpg');
+
+  const manifest = await DownloadManifest.open(path.join(DOWNLOADS_DIR, `${name}_work`));
+  assert.equal(await ArchiveReader.restore(streamed.files, manifest), 2);
+
+  requests.length = 0;
+  const downloads = await ImageDownloader.downloadImages(urls, path.join(manifest.filesDir, 'set'), 2, null, { manifest });
+  assert.equal(downloads.success, 3);
+  await manifest.flush();
+
+  const retried = await ZipCreator.createArchive(
+    path.join(manifest.filesDir, 'set'), path.join(DOWNLOADS_DIR, `${name}_retry`), { format: 'tar.gz' }
+  );
+  return { published: streamed.files, retried, downloads: [...requests] };
+}
+
+test('retrying a streamed tar.gz archive downloads only the failed image and archives all of them', async () => {
+  const { retried, downloads } = await streamAndRetry('single', { format: 'tar.gz' });
+
+  assert.deepEqual(downloads, ['/2.jpg']);
+  const entries = readTarGz(fs.readFileSync(retried[0]));
+  assert.deepEqual(entries.get('001_1.jpg'), images.get('/1.jpg'));
+  assert.deepEqual(entries.get('002_2.jpg'), images.get('/2.jpg'));
+  assert.deepEqual(entries.get('003_3.jpg'), images.get('/3.jpg'));
+});
+
+test('restore reads split zip volumes', async () => {
+  const { published, retried, downloads } = await streamAndRetry('split', { format: 'zip', volumeSizeMB: 2 / 1024 });
+
+  assert.ok(published.length > 1);
+  assert.deepEqual(downloads, ['/2.jpg']);
+  const entries = readTarGz(fs.readFileSync(retried[0]));
+  assert.deepEqual([...entries.keys()].filter(entry => entry.endsWith('.jpg')).sort(),
+    ['001_1.jpg', '002_2.jpg', '003_3.jpg']);
+  assert.deepEqual(entries.get('001_1.jpg'), images.get('/1.jpg'));
+});
+
+test('restore refuses entries outside the work dir', () => {
+  assert.throws(() => ArchiveReader.resolveEntry(DOWNLOADS_DIR, '../escape.jpg'), /outside the target directory/);
+});
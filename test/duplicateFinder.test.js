@@ -0,0 +1,143 @@
+/**
+ * Duplicate Finder tests
+ * dHash distances and grouping of resized copies across galleries
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const DuplicateFinder = require('../src/downloaders/duplicateFinder');
+
+/**
+ * Render a pattern into a PNG file
+ * @param {string} filePath - Output path
+ * @param {number} width - Pixel width
+ * @param {number} height - Pixel height
+ * @param {Function} shade - Gray level (0-255) for relative coordinates (0-1)
+ */
+async function writePng(filePath, width, height, shade) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const gray = Math.round(shade((x + 0.5) / width, (y + 0.5) / height));
+      png.data[i] = png.data[i + 1] = png.data[i + 2] = gray;
+      png.data[i + 3] = 255;
+    }
+  }
+  await fs.writeFile(filePath, PNG.sync.write(png));
+}
+
+// Distinct test scenes
+const waves = (x, y) => 128 + 100 * Math.sin(x * 9) * Math.cos(y * 7);
+const stripes = (x, y) => 128 + 100 * Math.sin((x + y) * 23);
+const rings = (x, y) => 128 + 100 * Math.cos(Math.hypot(x - 0.3, y - 0.6) * 30);
+
+/**
+ * Create gallery folders with images
+ * @param {Object} t - Test context (the folder is removed afterwards)
+ * @param {Object} layout - { gallery: [[name, width, height, shade], ...] }
+ * @returns {Promise<Array>} Galleries as { name, files }
+ */
+async function createGalleries(t, layout) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dedupe-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const galleries = [];
+  for (const [name, images] of Object.entries(layout)) {
+    await fs.mkdir(path.join(dir, name));
+    const files = [];
+    for (const [file, width, height, shade] of images) {
+      const filePath = path.join(dir, name, file);
+      await writePng(filePath, width, height, shade);
+      files.push(filePath);
+    }
+    galleries.push({ name, files });
+  }
+  return galleries;
+}
+
+test('distance counts differing bits', () => {
+  assert.equal(DuplicateFinder.distance(0n, 0n), 0);
+  assert.equal(DuplicateFinder.distance(0b1011n, 0b0001n), 2);
+  assert.equal(DuplicateFinder.distance((1n << 64n) - 1n, 0n), 64);
+});
+
+test('dHash is stable across resized copies', async (t) => {
+  const [gallery] = await createGalleries(t, {
+    a: [['big.png', 180, 120, waves], ['small.png', 90, 60, waves], ['other.png', 180, 120, stripes]]
+  });
+  const [big, small, other] = await Promise.all(gallery.files.map(file => DuplicateFinder.hashFile(file)));
+
+  assert.ok(DuplicateFinder.distance(big.hash, small.hash) <= 2);
+  assert.ok(DuplicateFinder.distance(big.hash, other.hash) > 10);
+  assert.deepEqual([big.width, big.height], [180, 120]);
+});
+
+test('findDuplicates keeps the largest copy and groups copies from other galleries', async (t) => {
+  const galleries = await createGalleries(t, {
+    a: [['001.png', 90, 60, waves], ['002.png', 120, 120, rings]],
+    b: [['001.png', 180, 120, waves], ['002.png', 180, 120, stripes]],
+    c: [['001.png', 60, 40, waves]]
+  });
+
+  const groups = await DuplicateFinder.findDuplicates(galleries, { threshold: 6 });
+
+  assert.equal(groups.length, 1);
+  assert.equal(groups[0].keep.file, galleries[1].files[0]);
+  assert.deepEqual(
+    groups[0].duplicates.map(duplicate => duplicate.file).sort(),
+    [galleries[0].files[0], galleries[2].files[0]].sort()
+  );
+});
+
+test('findDuplicates leaves similar shots inside one gallery alone', async (t) => {
+  const galleries = await createGalleries(t, {
+    a: [['001.png', 180, 120, waves], ['002.png', 90, 60, waves]],
+    b: [['001.png', 180, 120, stripes]]
+  });
+
+  assert.deepEqual(await DuplicateFinder.findDuplicates(galleries, { threshold: 6 }), []);
+});
+
+test('findDuplicates takes at most one copy per other gallery', async (t) => {
+  const galleries = await createGalleries(t, {
+    a: [['001.png', 180, 120, waves]],
+    b: [['001.png', 90, 60, waves], ['002.png', 60, 40, waves]]
+  });
+
+  const groups = await DuplicateFinder.findDuplicates(galleries, { threshold: 6 });
+  assert.equal(groups.length, 1);
+  assert.equal(groups[0].duplicates.length, 1);
+  assert.equal(groups[0].duplicates[0].gallery, 'b');
+});
+
+test('findDuplicates does not match different aspect ratios', async (t) => {
+  const galleries = await createGalleries(t, {
+    a: [['001.png', 180, 120, waves]],
+    b: [['001.png', 120, 120, waves]]
+  });
+
+  assert.deepEqual(await DuplicateFinder.findDuplicates(galleries, { threshold: 64 }), []);
+});
+
+test('dedupe in drop mode deletes duplicates and writes the report', async (t) => {
+  const galleries = await createGalleries(t, {
+    a: [['001.png', 180, 120, waves]],
+    b: [['001.png', 90, 60, waves], ['002.png', 90, 60, stripes]]
+  });
+  const baseDir = path.dirname(path.dirname(galleries[0].files[0]));
+  const results = { galleries: galleries.map(gallery => ({ ...gallery, files: [...gallery.files] })) };
+
+  const outcome = await DuplicateFinder.dedupe(results, baseDir, { mode: DuplicateFinder.MODES.DROP });
+
+  assert.deepEqual({ ...outcome, reportPath: path.basename(outcome.reportPath) }, {
+    duplicates: 1, removed: 1, reportPath: 'duplicates.txt'
+  });
+  assert.deepEqual(results.galleries[1].files, [galleries[1].files[1]]);
+  await assert.rejects(fs.access(galleries[1].files[0]), { code: 'ENOENT' });
+  assert.match(await fs.readFile(outcome.reportPath, 'utf8'), /removed: b\/001\.png/);
+});
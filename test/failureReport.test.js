@@ -0,0 +1,97 @@
+/**
+ * Failure Report tests
+ * Error classification, collection from outcomes and the failures.txt format
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const FailureReport = require('../src/downloaders/failureReport');
+
+const { ERROR_TYPES } = FailureReport;
+
+test('classify tells HTTP, timeout and network errors apart', () => {
+  assert.equal(FailureReport.classify(Object.assign(new Error('fail'), { response: { status: 404 } })), ERROR_TYPES.HTTP);
+  assert.equal(FailureReport.classify(Object.assign(new Error('slow'), { code: 'ECONNABORTED' })), ERROR_TYPES.TIMEOUT);
+  assert.equal(FailureReport.classify(new Error('timeout of 30000ms exceeded')), ERROR_TYPES.TIMEOUT);
+  assert.equal(FailureReport.classify(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), ERROR_TYPES.NETWORK);
+  assert.equal(FailureReport.classify(new Error('aborted')), ERROR_TYPES.NETWORK);
+  assert.equal(FailureReport.classify(new Error('something else')), ERROR_TYPES.ERROR);
+});
+
+test('fromError and rejected build failed outcomes', () => {
+  const error = Object.assign(new Error('Request failed with status code 403'), { response: { status: 403 } });
+  assert.deepEqual(FailureReport.fromError(error, 3), {
+    file: null, status: 403, errorType: ERROR_TYPES.HTTP, error: error.message, attempts: 3, bytes: 0
+  });
+
+  const rejected = FailureReport.rejected('not an image (text/html)', 200, 1, 512);
+  assert.equal(rejected.errorType, ERROR_TYPES.REJECTED);
+  assert.equal(rejected.error, 'rejected, not an image (text/html)');
+});
+
+test('collect keeps only failed outcomes, tagged with their gallery', () => {
+  const failures = FailureReport.collect([
+    {
+      name: 'set-a',
+      outcomes: [
+        { url: 'https://img.example/1.jpg', file: '/tmp/001.jpg' },
+        { url: 'https://img.example/2.jpg', file: null, status: 404, errorType: 'http', error: 'x', attempts: 1, bytes: 0 }
+      ]
+    },
+    { name: 'set-b' }
+  ]);
+
+  assert.deepEqual(failures, [{
+    gallery: 'set-a', url: 'https://img.example/2.jpg', status: 404, errorType: 'http', error: 'x', attempts: 1, bytes: 0
+  }]);
+});
+
+test('describe explains each error class', () => {
+  assert.equal(FailureReport.describe({ errorType: 'http', status: 404, attempts: 1, bytes: 0 }), 'HTTP 404, 1 attempt');
+  assert.equal(
+    FailureReport.describe({ errorType: 'timeout', error: 'timeout of 30000ms exceeded', attempts: 3, bytes: 2048 }),
+    'timeout: timeout of 30000ms exceeded, 3 attempts, 2 KB received'
+  );
+  assert.equal(
+    FailureReport.describe({ errorType: 'rejected', error: 'rejected, too small (12 bytes)', attempts: 1, bytes: 12 }),
+    'rejected, too small (12 bytes), 1 attempt, 12 Bytes received'
+  );
+});
+
+test('format groups failures by gallery', () => {
+  const text = FailureReport.format([
+    { gallery: 'a', url: 'https://x/1.jpg', errorType: 'http', status: 404, attempts: 1, bytes: 0 },
+    { gallery: 'a', url: 'https://x/2.jpg', errorType: 'http', status: 500, attempts: 3, bytes: 0 },
+    { gallery: 'b', url: 'https://x/3.jpg', errorType: 'http', status: 403, attempts: 1, bytes: 0 }
+  ], 10);
+
+  assert.equal(text, [
+    'Images that could not be downloaded: 3 of 10',
+    '',
+    'a/',
+    '  https://x/1.jpg',
+    '    HTTP 404, 1 attempt',
+    '  https://x/2.jpg',
+    '    HTTP 500, 3 attempts',
+    '',
+    'b/',
+    '  https://x/3.jpg',
+    '    HTTP 403, 1 attempt',
+    ''
+  ].join('\n'));
+});
+
+test('write creates failures.txt and removes a stale one when nothing failed', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'failure-report-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const reportPath = path.join(dir, FailureReport.FILE_NAME);
+
+  await FailureReport.write(dir, [{ gallery: 'a', url: 'https://x/1.jpg', errorType: 'http', status: 404, attempts: 1 }], 2);
+  assert.match(await fs.readFile(reportPath, 'utf8'), /1 of 2/);
+
+  await FailureReport.write(dir, [], 2);
+  await assert.rejects(fs.access(reportPath), { code: 'ENOENT' });
+});
@@ -0,0 +1,153 @@
+/**
+ * Image Downloader tests
+ * Range resume of .part files, within a run and after a restart (validator kept in the download manifest)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const ImageDownloader = require('../src/downloaders/imageDownloader');
+const DownloadManifest = require('../src/utils/downloadManifest');
+
+/**
+ * Build a JPEG-looking body
+ * @param {number} size - Body size
+ * @returns {Buffer}
+ */
+function jpegBody(size = 8192) {
+  const body = crypto.randomBytes(size);
+  body.set([0xff, 0xd8, 0xff, 0xe0]);
+  return body;
+}
+
+// What the server currently has, and what it saw
+const served = { body: jpegBody(), etag: '"v1"', breakAt: null };
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  requests.push({ range: req.headers.range || null, ifRange: req.headers['if-range'] || null });
+  const { body, etag } = served;
+  const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+
+  if (range && (!req.headers['if-range'] || req.headers['if-range'] === etag)) {
+    const start = Number(range[1]);
+    res.writeHead(206, {
+      'Content-Type': 'image/jpeg',
+      'Content-Length': body.length - start,
+      'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}`,
+      ETag: etag
+    });
+    res.end(body.subarray(start));
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': body.length, ETag: etag });
+  if (served.breakAt) {
+    // Connection drops mid-transfer
+    res.write(body.subarray(0, served.breakAt));
+    served.breakAt = null;
+    setTimeout(() => res.destroy(), 50);
+    return;
+  }
+  res.end(body);
+});
+
+let imageUrl;
+let workDir;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  imageUrl = `http://127.0.0.1:${server.address().port}/photo.jpg`;
+});
+
+test.beforeEach(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'downloader-'));
+  served.body = jpegBody();
+  served.etag = '"v1"';
+  requests.length = 0;
+});
+
+test.afterEach(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test.after(() => server.close());
+
+/**
+ * Simulate a run that broke mid-transfer and was then stopped (e.g. by a restart)
+ * @returns {Promise<string>} Planned output path, with its .part file left behind
+ */
+async function interruptedRun() {
+  const manifest = await DownloadManifest.open(workDir);
+  const outputPath = path.join(manifest.filesDir, '001_photo.jpg');
+  served.breakAt = 3000;
+
+  const outcome = await ImageDownloader.downloadImage(imageUrl, outputPath, 1, { manifest });
+  await manifest.flush();
+
+  assert.equal(outcome.file, null);
+  assert.equal(fs.statSync(`${outputPath}.part`).size, 3000);
+  return outputPath;
+}
+
+test('a rerun resumes the .part file with the stored validator', async () => {
+  const outputPath = await interruptedRun();
+
+  // A new manifest instance, as after a restart
+  const manifest = await DownloadManifest.open(workDir);
+  const outcome = await ImageDownloader.downloadImage(imageUrl, outputPath, 1, { manifest });
+
+  assert.equal(outcome.file, outputPath);
+  assert.deepEqual(requests.at(-1), { range: 'bytes=3000-', ifRange: '"v1"' });
+  assert.deepEqual(fs.readFileSync(outputPath), served.body);
+});
+
+test('a rerun starts over when the file changed upstream', async () => {
+  const outputPath = await interruptedRun();
+  served.body = jpegBody();
+  served.etag = '"v2"';
+
+  const manifest = await DownloadManifest.open(workDir);
+  const outcome = await ImageDownloader.downloadImage(imageUrl, outputPath, 1, { manifest });
+
+  assert.equal(outcome.file, outputPath);
+  assert.deepEqual(requests.at(-1), { range: 'bytes=3000-', ifRange: '"v1"' });
+  assert.deepEqual(fs.readFileSync(outputPath), served.body);
+});
+
+test('a .part file without a validator is downloaded again from the start', async () => {
+  const manifest = await DownloadManifest.open(workDir);
+  const outputPath = path.join(manifest.filesDir, '001_photo.jpg');
+  fs.writeFileSync(`${outputPath}.part`, Buffer.alloc(3000, 7));
+
+  const outcome = await ImageDownloader.downloadImage(imageUrl, outputPath, 1, { manifest });
+
+  assert.equal(outcome.file, outputPath);
+  assert.deepEqual(requests, [{ range: null, ifRange: null }]);
+  assert.deepEqual(fs.readFileSync(outputPath), served.body);
+});
+
+test('a retry within the same run resumes the transfer', async () => {
+  const outputPath = path.join(workDir, '001_photo.jpg');
+  served.breakAt = 5000;
+
+  const outcome = await ImageDownloader.downloadImage(imageUrl, outputPath, 2);
+
+  assert.equal(outcome.file, outputPath);
+  assert.equal(outcome.attempts, 2);
+  assert.deepEqual(requests.at(-1), { range: 'bytes=5000-', ifRange: '"v1"' });
+  assert.deepEqual(fs.readFileSync(outputPath), served.body);
+});
+
+test('the manifest forgets the validator once the image is complete', async () => {
+  const outputPath = await interruptedRun();
+
+  const manifest = await DownloadManifest.open(workDir);
+  const { files } = await ImageDownloader.downloadImages([imageUrl], manifest.filesDir, 1, null, { manifest });
+
+  assert.deepEqual(files, [outputPath]);
+  assert.equal(manifest.getValidator(outputPath, imageUrl), null);
+  assert.equal(await manifest.getCompleted(outputPath, imageUrl), outputPath);
+});
@@ -0,0 +1,139 @@
+/**
+ * Image Validator tests
+ * Magic-byte detection, Content-Type checks, size and placeholder rules and header dimensions
+ */
+
+process.env.IMAGE_MIN_BYTES = '1024';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ImageValidator = require('../src/downloaders/imageValidator');
+
+/**
+ * Build a body that starts with the given bytes and is padded to a real image size
+ * @param {Array|Buffer|string} head - First bytes
+ * @param {number} size - Total size
+ * @returns {Buffer}
+ */
+function body(head, size = 4096) {
+  const start = Buffer.isBuffer(head) ? head : Buffer.from(head, typeof head === 'string' ? 'latin1' : undefined);
+  return Buffer.concat([start, Buffer.alloc(Math.max(0, size - start.length))]);
+}
+
+/**
+ * Build a PNG header with the given size
+ * @param {number} width - Pixel width
+ * @param {number} height - Pixel height
+ * @returns {Buffer}
+ */
+function pngHeader(width, height) {
+  const header = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header);
+  header.writeUInt32BE(13, 8);
+  header.write('IHDR', 12, 'latin1');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return header;
+}
+
+/**
+ * Build a BMP header
+ * @param {number} dibSize - DIB header size
+ * @returns {Buffer}
+ */
+function bmpHeader(dibSize = 40) {
+  const header = Buffer.alloc(26);
+  header.write('BM', 0, 'latin1');
+  header.writeUInt32LE(4096, 2);
+  header.writeUInt32LE(0, 6);
+  header.writeUInt32LE(dibSize, 14);
+  header.writeInt32LE(640, 18);
+  header.writeInt32LE(-480, 22);
+  return header;
+}
+
+test('detectFormat recognises images by their magic bytes', () => {
+  assert.equal(ImageValidator.detectFormat(body([0xff, 0xd8, 0xff, 0xe0])).ext, '.jpg');
+  assert.equal(ImageValidator.detectFormat(body(pngHeader(1, 1))).ext, '.png');
+  assert.equal(ImageValidator.detectFormat(body('GIF89a')).ext, '.gif');
+  assert.equal(ImageValidator.detectFormat(body('RIFF\0\0\0\0WEBPVP8 ')).ext, '.webp');
+  assert.equal(ImageValidator.detectFormat(body('\0\0\0\x1cftypavif')).ext, '.avif');
+  assert.equal(ImageValidator.detectFormat(body('\0\0\0\x18ftypheic')).ext, '.heic');
+  assert.equal(ImageValidator.detectFormat(body('II*\0')).ext, '.tif');
+  assert.equal(ImageValidator.detectFormat(body('<!DOCTYPE html>')), null);
+  assert.equal(ImageValidator.detectFormat(Buffer.from([0xff, 0xd8, 0xff])), null);
+});
+
+test('detectFormat marks short signatures as weak', () => {
+  assert.equal(ImageValidator.detectFormat(body([0xff, 0xd8, 0xff])).weak, false);
+  assert.equal(ImageValidator.detectFormat(body(bmpHeader())).weak, true);
+  assert.equal(ImageValidator.detectFormat(body([0x00, 0x00, 0x01, 0x00])).weak, true);
+  assert.equal(ImageValidator.detectFormat(body([0xff, 0x0a])).weak, true);
+});
+
+test('validate accepts an image whatever its Content-Type claims, unless it is a page or document', () => {
+  const jpeg = body([0xff, 0xd8, 0xff, 0xe0]);
+
+  assert.equal(ImageValidator.validate(jpeg, 'image/png').valid, true);
+  assert.equal(ImageValidator.validate(jpeg, 'application/octet-stream').valid, true);
+  assert.equal(ImageValidator.validate(jpeg, '').valid, true);
+  assert.equal(ImageValidator.validate(jpeg, 'text/html; charset=utf-8').valid, false);
+  assert.equal(ImageValidator.validate(jpeg, 'application/json').valid, false);
+  assert.equal(ImageValidator.validate(jpeg, 'application/pdf').valid, false);
+});
+
+test('validate rejects HTML error pages', () => {
+  const result = ImageValidator.validate(body('<html><body>404</body></html>'), 'image/jpeg');
+  assert.equal(result.valid, false);
+  assert.match(result.reason, /not an image/);
+});
+
+test('validate needs an agreeing Content-Type for weak signatures', () => {
+  assert.equal(ImageValidator.validate(body(bmpHeader()), 'image/bmp').valid, true);
+  assert.equal(ImageValidator.validate(body(bmpHeader()), 'application/octet-stream').valid, true);
+  assert.equal(ImageValidator.validate(body(bmpHeader()), 'application/zip').valid, false);
+  assert.equal(ImageValidator.validate(body([0x00, 0x00, 0x01, 0x00]), 'font/woff').valid, false);
+});
+
+test('validate rejects BM bodies without a BMP header', () => {
+  assert.equal(ImageValidator.validate(body(bmpHeader(99)), 'image/bmp').valid, false);
+  assert.equal(ImageValidator.validate(body('BMW owners club'), 'image/bmp').valid, false);
+});
+
+test('validate applies the size check to complete bodies only', () => {
+  const small = body([0xff, 0xd8, 0xff, 0xe0], 200);
+
+  const result = ImageValidator.validate(small, 'image/jpeg');
+  assert.equal(result.valid, false);
+  assert.match(result.reason, /too small/);
+  assert.equal(ImageValidator.validate(small, 'image/jpeg', { complete: false }).valid, true);
+});
+
+test('readDimensions reads PNG, GIF and BMP headers', () => {
+  assert.deepEqual(ImageValidator.readDimensions(body(pngHeader(1920, 1080))), { width: 1920, height: 1080 });
+
+  const gif = body('GIF89a');
+  gif.writeUInt16LE(320, 6);
+  gif.writeUInt16LE(200, 8);
+  assert.deepEqual(ImageValidator.readDimensions(gif), { width: 320, height: 200 });
+
+  assert.deepEqual(ImageValidator.readDimensions(body(bmpHeader())), { width: 640, height: 480 });
+  assert.equal(ImageValidator.readDimensions(body('II*\0')), null);
+});
+
+test('readDimensions walks JPEG segments to the frame header', () => {
+  const jpeg = Buffer.from([
+    0xff, 0xd8,
+    0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+    0xff, 0xc0, 0x00, 0x11, 0x08, 0x02, 0x58, 0x03, 0x20, 0x03
+  ]);
+  assert.deepEqual(ImageValidator.readDimensions(body(jpeg)), { width: 800, height: 600 });
+});
+
+test('fixExtension replaces wrong extensions and keeps equivalent ones', () => {
+  const jpg = { ext: '.jpg' };
+  assert.equal(ImageValidator.fixExtension('/tmp/001_photo.png', jpg), '/tmp/001_photo.jpg');
+  assert.equal(ImageValidator.fixExtension('001_photo.jpeg', jpg), '001_photo.jpeg');
+  assert.equal(ImageValidator.fixExtension('001_photo.TIFF', { ext: '.tif' }), '001_photo.TIFF');
+  assert.equal(ImageValidator.fixExtension('001_photo', { ext: '.webp' }), '001_photo.webp');
+});
@@ -0,0 +1,131 @@
+/**
+ * Job Queue tests
+ * Persistence, requeue after a restart, FIFO order, the worker limit and cancelling
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DOWNLOADS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+process.env.DOWNLOADS_DIR = DOWNLOADS_DIR;
+process.env.MAX_CONCURRENT_JOBS = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jobQueue = require('../src/utils/jobQueue');
+
+const { JOB_STATUS } = jobQueue;
+const STATE_FILE = path.join(DOWNLOADS_DIR, '.jobs.json');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Read the persisted jobs
+ * @returns {Array}
+ */
+function readState() {
+  return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')).jobs;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few ms
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.ok(condition(), 'condition not reached');
+}
+
+test.after(() => fs.rmSync(DOWNLOADS_DIR, { recursive: true, force: true }));
+
+test('load requeues running jobs and drops old finished ones', async () => {
+  const now = Date.now();
+  fs.writeFileSync(STATE_FILE, JSON.stringify({
+    jobs: [
+      { id: 'running', status: JOB_STATUS.RUNNING, createdAt: now - HOUR, userId: 1 },
+      { id: 'queued', status: JOB_STATUS.QUEUED, createdAt: now, userId: 2 },
+      { id: 'recent', status: JOB_STATUS.DONE, createdAt: now - HOUR, finishedAt: now - HOUR, userId: 3 },
+      { id: 'old', status: JOB_STATUS.DONE, createdAt: now - 30 * HOUR, finishedAt: now - 25 * HOUR, userId: 4 }
+    ]
+  }));
+
+  const resumed = await jobQueue.load();
+
+  assert.deepEqual(resumed.map(job => job.id), ['running']);
+  assert.equal(resumed[0].resumed, true);
+  assert.deepEqual(jobQueue.getQueued().map(job => job.id), ['running', 'queued']);
+  assert.deepEqual(readState().map(job => [job.id, job.status]), [
+    ['running', JOB_STATUS.QUEUED],
+    ['queued', JOB_STATUS.QUEUED],
+    ['recent', JOB_STATUS.DONE]
+  ]);
+});
+
+test('enqueue persists jobs and reports positions in line', async () => {
+  const job = await jobQueue.enqueue({ type: 'single', userId: 5, url: 'https://example.com/g/1' });
+
+  assert.equal(job.status, JOB_STATUS.QUEUED);
+  assert.equal(jobQueue.getPosition(job), 3);
+  assert.equal(jobQueue.getActiveJob(5), job);
+  assert.equal(readState().find(saved => saved.id === job.id).url, 'https://example.com/g/1');
+});
+
+test('start runs jobs in order with at most maxConcurrent at a time', async () => {
+  const releases = new Map();
+  const started = [];
+  let peak = 0;
+
+  jobQueue.start({
+    handler: (job) => {
+      started.push(job.id);
+      peak = Math.max(peak, jobQueue.running);
+      return new Promise(resolve => releases.set(job.id, resolve));
+    }
+  });
+
+  await waitFor(() => started.length === 2);
+  assert.deepEqual(started, ['running', 'queued']);
+
+  releases.get('running')();
+  await waitFor(() => started.length === 3);
+  assert.equal(peak, 2);
+
+  for (const release of releases.values()) release();
+  await waitFor(() => jobQueue.running === 0);
+  assert.deepEqual(readState().filter(job => job.userId <= 5).map(job => job.status), [
+    JOB_STATUS.DONE, JOB_STATUS.DONE, JOB_STATUS.DONE, JOB_STATUS.DONE
+  ]);
+});
+
+test('cancel aborts running jobs and removes waiting ones from the line', async () => {
+  jobQueue.maxConcurrent = 1;
+  jobQueue.handler = (job, signal) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+
+  const running = await jobQueue.enqueue({ type: 'single', userId: 6 });
+  const waiting = await jobQueue.enqueue({ type: 'single', userId: 7 });
+  await waitFor(() => running.status === JOB_STATUS.RUNNING);
+
+  assert.equal(await jobQueue.cancel(waiting), true);
+  assert.equal(waiting.status, JOB_STATUS.CANCELLED);
+
+  assert.equal(await jobQueue.cancel(running), true);
+  await waitFor(() => running.status === JOB_STATUS.CANCELLED);
+  assert.equal(await jobQueue.cancel(running), false);
+});
+
+test('suspended jobs free their slot and keep their place when resumed', async () => {
+  jobQueue.handler = async (job) => {
+    if (!job.answered) await jobQueue.suspend(job, { step: 'select' });
+  };
+
+  const job = await jobQueue.enqueue({ type: 'multi', userId: 8 });
+  await waitFor(() => job.status === JOB_STATUS.AWAITING_INPUT && jobQueue.running === 0);
+  assert.equal(readState().find(saved => saved.id === job.id).step, 'select');
+
+  await jobQueue.resume(job, { answered: true });
+  await waitFor(() => job.status === JOB_STATUS.DONE);
+});
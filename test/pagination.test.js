@@ -0,0 +1,73 @@
+/**
+ * Pagination tests
+ * Page limits, next-link lookup and URL template building
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const Pagination = require('../src/scrapers/pagination');
+
+test('getMaxPages is 1 without pagination and defaults to 10 with it', () => {
+  assert.equal(Pagination.getMaxPages(undefined), 1);
+  assert.equal(Pagination.getMaxPages({ nextSelector: 'a.next' }), 10);
+  assert.equal(Pagination.getMaxPages({ nextSelector: 'a.next', maxPages: 3 }), 3);
+});
+
+test('findNextLink reads the configured attribute', () => {
+  const { document } = new JSDOM(
+    '<a class="next" href="/p/2" data-url="/p/2?x=1">Next</a>'
+  ).window;
+
+  assert.equal(Pagination.findNextLink(document, { nextSelector: 'a.next' }), '/p/2');
+  assert.equal(Pagination.findNextLink(document, { nextSelector: 'a.next', nextAttr: 'data-url' }), '/p/2?x=1');
+  assert.equal(Pagination.findNextLink(document, { nextSelector: 'a.missing' }), null);
+  assert.equal(Pagination.findNextLink(document, { urlTemplate: '{url}?page={page}' }), null);
+});
+
+test('getNextUrl resolves next links against the current page', () => {
+  const next = Pagination.getNextUrl({ nextSelector: 'a.next' }, {
+    firstUrl: 'https://example.com/gallery/1',
+    currentUrl: 'https://example.com/gallery/1/page/2',
+    nextPage: 3,
+    nextLink: '../page/3'
+  });
+  assert.equal(next, 'https://example.com/gallery/1/page/3');
+});
+
+test('getNextUrl stops at maxPages and without a next link', () => {
+  const context = { firstUrl: 'https://example.com/a', currentUrl: 'https://example.com/a', nextLink: '/b' };
+  assert.equal(Pagination.getNextUrl({ nextSelector: 'a', maxPages: 2 }, { ...context, nextPage: 3 }), null);
+  assert.equal(Pagination.getNextUrl({ nextSelector: 'a' }, { ...context, nextPage: 2, nextLink: null }), null);
+  assert.equal(Pagination.getNextUrl(undefined, { ...context, nextPage: 2 }), null);
+});
+
+test('getNextUrl fills {url} and {page} in templates', () => {
+  const pagination = { urlTemplate: '{url}/page/{page}' };
+  const next = Pagination.getNextUrl(pagination, {
+    firstUrl: 'https://example.com/models/jane/',
+    currentUrl: 'https://example.com/models/jane/',
+    nextPage: 2
+  });
+  assert.equal(next, 'https://example.com/models/jane/page/2');
+});
+
+test('getNextUrl keeps the first page query under the template parameters', () => {
+  const pagination = { urlTemplate: '{url}?page={page}' };
+  const firstUrl = 'https://example.com/models?sort=new&page=1#top';
+
+  assert.equal(
+    Pagination.getNextUrl(pagination, { firstUrl, currentUrl: firstUrl, nextPage: 2 }),
+    'https://example.com/models?sort=new&page=2'
+  );
+});
+
+test('getNextUrl resolves templates without {url} against the first page', () => {
+  const pagination = { urlTemplate: '/search?q=x&p={page}' };
+  const firstUrl = 'https://example.com/search?q=x';
+
+  assert.equal(
+    Pagination.getNextUrl(pagination, { firstUrl, currentUrl: firstUrl, nextPage: 4 }),
+    'https://example.com/search?q=x&p=4'
+  );
+});
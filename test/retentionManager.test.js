@@ -0,0 +1,126 @@
+/**
+ * Retention Manager tests
+ * Expiry by publish time, the disk cap and split-archive volumes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DOWNLOADS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+process.env.DOWNLOADS_DIR = DOWNLOADS_DIR;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const retentionManager = require('../src/utils/retentionManager');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Put published archives into the downloads directory
+ * @param {Array} archives - Array of [name, ageHours, size]
+ */
+async function publish(archives) {
+  for (const [name, ageHours, size = 1000] of archives) {
+    fs.writeFileSync(path.join(DOWNLOADS_DIR, name), Buffer.alloc(size));
+    await retentionManager.register(name, Date.now() - ageHours * HOUR);
+  }
+}
+
+/**
+ * List the archives left in the downloads directory
+ * @returns {Array} Visible file names
+ */
+function listArchives() {
+  return fs.readdirSync(DOWNLOADS_DIR).filter(name => !name.startsWith('.')).sort();
+}
+
+test.beforeEach(async () => {
+  for (const name of listArchives()) fs.unlinkSync(path.join(DOWNLOADS_DIR, name));
+  retentionManager.retentionHours = 24;
+  retentionManager.maxSizeBytes = 0;
+  await retentionManager.sweep();
+});
+
+test.after(() => fs.rmSync(DOWNLOADS_DIR, { recursive: true, force: true }));
+
+test('sweep deletes archives older than the retention time', async () => {
+  await publish([['old.zip', 25], ['new.zip', 1]]);
+
+  const results = await retentionManager.sweep();
+
+  assert.deepEqual(results, { deleted: 1, freedBytes: 1000, remaining: 1 });
+  assert.deepEqual(listArchives(), ['new.zip']);
+});
+
+test('sweep evicts the oldest archives above the disk cap', async () => {
+  retentionManager.maxSizeBytes = 2500;
+  await publish([['a.zip', 3], ['b.zip', 2], ['c.zip', 1], ['d.zip', 0.5]]);
+
+  const results = await retentionManager.sweep();
+
+  assert.equal(results.deleted, 2);
+  assert.deepEqual(listArchives(), ['c.zip', 'd.zip']);
+});
+
+test('sweep expires and evicts the volumes of a split archive together', async () => {
+  retentionManager.maxSizeBytes = 2500;
+  await publish([['a.7z.001', 3], ['a.7z.002', 0.2], ['b.zip', 2], ['c.zip', 1]]);
+
+  await retentionManager.sweep();
+  assert.deepEqual(listArchives(), ['b.zip', 'c.zip']);
+
+  retentionManager.maxSizeBytes = 0;
+  await publish([['d.zip.001', 30], ['d.zip.002', 1]]);
+  await retentionManager.sweep();
+  assert.deepEqual(listArchives(), ['b.zip', 'c.zip']);
+});
+
+test('sweep ages unrecorded files by their modification time', async () => {
+  const filePath = path.join(DOWNLOADS_DIR, 'legacy.zip');
+  fs.writeFileSync(filePath, Buffer.alloc(10));
+  const mtime = new Date(Date.now() - 48 * HOUR);
+  fs.utimesSync(filePath, mtime, mtime);
+
+  await retentionManager.sweep();
+
+  assert.deepEqual(listArchives(), []);
+});
+
+test('sweep notifies listeners and forgets archives deleted by hand', async () => {
+  const removed = [];
+  retentionManager.onRemove(name => removed.push(name));
+  await publish([['old.zip', 30], ['gone.zip', 1]]);
+  fs.unlinkSync(path.join(DOWNLOADS_DIR, 'gone.zip'));
+
+  await retentionManager.sweep();
+
+  assert.deepEqual(removed.sort(), ['gone.zip', 'old.zip']);
+  assert.equal(retentionManager.getExpiry('gone.zip'), null);
+});
+
+test('getExpiry is the publish time plus the retention time', async () => {
+  const publishedAt = Date.now();
+  await retentionManager.register('x.zip', publishedAt);
+
+  assert.equal(retentionManager.getExpiry('x.zip'), publishedAt + 24 * HOUR);
+});
+
+test('sweep leaves unrecorded archives alone while they may still be published', async () => {
+  retentionManager.maxSizeBytes = 1500;
+  await publish([['a.zip', 2, 2000], ['b.7z.001', 1]]);
+  fs.writeFileSync(path.join(DOWNLOADS_DIR, 'b.7z.002'), Buffer.alloc(1000));
+  fs.writeFileSync(path.join(DOWNLOADS_DIR, 'c.7z'), Buffer.alloc(5000));
+
+  const results = await retentionManager.sweep();
+
+  assert.equal(results.deleted, 1);
+  assert.deepEqual(listArchives(), ['b.7z.001', 'b.7z.002', 'c.7z']);
+
+  for (const name of ['b.7z.002', 'c.7z']) {
+    const mtime = new Date(Date.now() - 2 * HOUR);
+    fs.utimesSync(path.join(DOWNLOADS_DIR, name), mtime, mtime);
+  }
+  await retentionManager.sweep();
+  assert.deepEqual(listArchives(), []);
+});
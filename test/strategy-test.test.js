@@ -0,0 +1,54 @@
+/**
+ * Strategy Test CLI tests
+ * Runs the CLI on the fixtures in test/fixtures/<domain>/ (HTML + threshold sidecar)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli', 'strategy-test.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Run the CLI
+ * @param {Array} args - Command line arguments
+ * @returns {Object} { status, stdout, stderr }
+ */
+function runCli(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+for (const domain of fs.readdirSync(FIXTURES_DIR)) {
+  test(`fixtures of ${domain} meet their thresholds`, () => {
+    const fixtures = fs.readdirSync(path.join(FIXTURES_DIR, domain))
+      .filter(name => name.endsWith('.html'))
+      .map(name => path.join(FIXTURES_DIR, domain, name));
+
+    const result = runCli([domain, ...fixtures, '--quiet']);
+
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, new RegExp(`${fixtures.length}/${fixtures.length} fixtures passed`));
+  });
+}
+
+test('a count below its threshold fails with exit code 1', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'strategy-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.copyFileSync(path.join(FIXTURES_DIR, 'elitebabes.com', 'gallery.html'), path.join(dir, 'gallery.html'));
+  fs.writeFileSync(path.join(dir, 'gallery.json'), JSON.stringify({ type: 'images', expect: { urls: 7 } }));
+
+  const result = runCli(['elitebabes.com', path.join(dir, 'gallery.html'), '--quiet']);
+
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /urls: 6 \(expected >= 7\) FAIL/);
+});
+
+test('usage errors exit with code 2', () => {
+  assert.equal(runCli([]).status, 2);
+  assert.equal(runCli(['elitebabes.com', 'x.html', '--type', 'videos']).status, 2);
+  assert.equal(runCli(['unknown.example', path.join(FIXTURES_DIR, 'elitebabes.com', 'gallery.html')]).status, 2);
+});
@@ -0,0 +1,124 @@
+/**
+ * Streaming Archiver tests
+ * Archives built from a local image server: entries, failures and split volumes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DOWNLOADS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'streaming-'));
+process.env.DOWNLOADS_DIR = DOWNLOADS_DIR;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const zlib = require('zlib');
+const StreamingArchiver = require('../src/downloaders/streamingArchiver');
+
+/**
+ * Build a JPEG-looking body (random bytes, so it does not shrink in tar.gz archives)
+ * @param {number} size - Body size
+ * @returns {Buffer}
+ */
+function jpegBody(size = 4096) {
+  const body = crypto.randomBytes(size);
+  body.set([0xff, 0xd8, 0xff, 0xe0]);
+  return body;
+}
+
+/**
+ * List the entries of a tar.gz archive
+ * @param {Buffer} data - Archive contents
+ * @returns {Map} Entry name -> contents
+ */
+function readTarGz(data) {
+  const tar = zlib.gunzipSync(data);
+  const entries = new Map();
+  for (let offset = 0; offset + 512 <= tar.length;) {
+    const name = tar.toString('utf8', offset, offset + 100).replace(/\0.*$/s, '');
+    if (!name) break;
+    const size = parseInt(tar.toString('latin1', offset + 124, offset + 136).trim(), 8);
+    entries.set(name, tar.subarray(offset + 512, offset + 512 + size));
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+const images = new Map([
+  ['/1.jpg', jpegBody()],
+  ['/2.jpg', jpegBody()],
+  ['/3.jpg', jpegBody()]
+]);
+let baseUrl;
+const server = http.createServer((req, res) => {
+  const body = images.get(req.url);
+  if (!body) {
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    res.end('<html>not found</html>');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': body.length });
+  res.end(body);
+});
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(DOWNLOADS_DIR, { recursive: true, force: true });
+});
+
+test('downloadToArchive writes images, the failure report and the manifest', async () => {
+  const urls = ['/1.jpg', '/missing.jpg', '/2.jpg'].map(url => `${baseUrl}${url}`);
+
+  const results = await StreamingArchiver.downloadToArchive(
+    [{ name: 'set', urls }],
+    path.join(DOWNLOADS_DIR, 'single'),
+    { format: 'tar.gz', sourceUrl: `${baseUrl}/gallery` }
+  );
+
+  assert.deepEqual([results.successImages, results.failedImages], [2, 1]);
+  assert.deepEqual(results.files, [path.join(DOWNLOADS_DIR, 'single.tar.gz')]);
+
+  const entries = readTarGz(fs.readFileSync(results.files[0]));
+  assert.deepEqual([...entries.keys()].sort(), [
+    'failures.txt', 'index.html', 'manifest.json', 'set/001_1.jpg', 'set/003_2.jpg'
+  ]);
+  assert.deepEqual(entries.get('set/003_2.jpg'), images.get('/2.jpg'));
+  assert.match(entries.get('failures.txt').toString(), /missing\.jpg\n {4}HTTP 404/);
+});
+
+test('downloadToArchive splits volumes before publishing them', async () => {
+  const urls = [...images.keys()].map(url => `${baseUrl}${url}`);
+
+  const results = await StreamingArchiver.downloadToArchive(
+    [{ name: 'set', urls }],
+    path.join(DOWNLOADS_DIR, 'split'),
+    { format: 'tar.gz', volumeSizeMB: 2 / 1024 }
+  );
+
+  const outputPath = path.join(DOWNLOADS_DIR, 'split.tar.gz');
+  assert.ok(results.files.length > 1);
+  assert.deepEqual(results.files, results.files.map((file, i) => `${outputPath}.${String(i + 1).padStart(3, '0')}`));
+  assert.deepEqual(fs.readdirSync(DOWNLOADS_DIR).filter(name => name.includes('split')).sort(),
+    results.files.map(file => path.basename(file)));
+
+  const joined = Buffer.concat(results.files.map(file => fs.readFileSync(file)));
+  assert.equal(readTarGz(joined).size, 5);
+});
+
+test('downloadToArchive publishes nothing when every image failed', async () => {
+  const results = await StreamingArchiver.downloadToArchive(
+    [{ name: 'set', urls: [`${baseUrl}/missing.jpg`] }],
+    path.join(DOWNLOADS_DIR, 'empty'),
+    { format: 'zip' }
+  );
+
+  assert.deepEqual(results.files, []);
+  assert.deepEqual(fs.readdirSync(DOWNLOADS_DIR).filter(name => name.includes('empty')), []);
+});